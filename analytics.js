@@ -0,0 +1,175 @@
+// Séries temporelles des commentaires publiés (par heure, jour ou semaine, dans un fuseau donné)
+const pool = require('./db');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// stepMs : pas d'échantillonnage pour énumérer les intervalles (un jour local dure 23 à 25 h,
+// certains fuseaux sont décalés de 30 ou 45 min)
+const GRANULARITIES = {
+    hour: { defaultRangeMs: 24 * HOUR_MS, stepMs: 15 * 60 * 1000 },
+    day: { defaultRangeMs: 30 * 24 * HOUR_MS, stepMs: 6 * HOUR_MS },
+    week: { defaultRangeMs: 12 * 7 * 24 * HOUR_MS, stepMs: 6 * HOUR_MS }
+};
+
+const MAX_BUCKETS = 1000;
+const MAX_KEYS = 100;
+
+function isValidTimezone(timezone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+// Valider les paramètres d'une requête d'analyse ; retourne { error } ou la requête normalisée
+function parseAnalyticsQuery({ granularity = 'day', from, to, timezone = 'UTC' }) {
+    if (!Object.prototype.hasOwnProperty.call(GRANULARITIES, granularity)) {
+        return { error: 'Granularité invalide (hour, day ou week)' };
+    }
+
+    if (typeof timezone !== 'string' || !isValidTimezone(timezone)) {
+        return { error: 'Fuseau horaire invalide' };
+    }
+
+    const end = to ? new Date(to) : new Date();
+    const start = from ? new Date(from) : new Date(end.getTime() - GRANULARITIES[granularity].defaultRangeMs);
+
+    if (isNaN(start) || isNaN(end) || start >= end) {
+        return { error: 'Période invalide' };
+    }
+
+    const query = { granularity, timezone, from: start, to: end };
+    if (bucketKeys(query).length > MAX_BUCKETS) {
+        return { error: `Période trop longue pour cette granularité (${MAX_BUCKETS} intervalles maximum)` };
+    }
+
+    return query;
+}
+
+// Formateurs par fuseau (coûteux à créer, réutilisés d'une requête à l'autre)
+const formatters = new Map();
+
+function getFormatter(timezone) {
+    if (!formatters.has(timezone)) {
+        formatters.set(timezone, new Intl.DateTimeFormat('en-CA', {
+            timeZone: timezone,
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            hourCycle: 'h23'
+        }));
+    }
+    return formatters.get(timezone);
+}
+
+// Clé d'intervalle "YYYY-MM-DDTHH:MI" dans le fuseau, identique au to_char() de la requête SQL
+function bucketKey(date, timezone, granularity) {
+    const parts = {};
+    getFormatter(timezone).formatToParts(date).forEach(part => {
+        parts[part.type] = part.value;
+    });
+
+    if (granularity === 'hour') {
+        return `${parts.year}-${parts.month}-${parts.day}T${parts.hour}:00`;
+    }
+
+    if (granularity === 'week') {
+        // Semaines ISO : début le lundi (comme date_trunc('week'))
+        const day = new Date(Date.UTC(parts.year, parts.month - 1, parts.day));
+        day.setUTCDate(day.getUTCDate() - (day.getUTCDay() + 6) % 7);
+        return `${day.toISOString().slice(0, 10)}T00:00`;
+    }
+
+    return `${parts.year}-${parts.month}-${parts.day}T00:00`;
+}
+
+// Toutes les clés d'intervalle de la période (pour afficher aussi les intervalles vides)
+function bucketKeys({ granularity, timezone, from, to }) {
+    const keys = [];
+    const { stepMs } = GRANULARITIES[granularity];
+
+    for (let time = from.getTime(); time < to.getTime(); time += stepMs) {
+        const key = bucketKey(new Date(time), timezone, granularity);
+        if (keys[keys.length - 1] !== key) keys.push(key);
+        if (keys.length > MAX_BUCKETS) break;
+    }
+
+    return keys;
+}
+
+async function countByBucket({ granularity, timezone, from, to }, licenseKeys, teamId) {
+    const params = [granularity, timezone, from, to];
+    let keyFilter = '';
+
+    if (licenseKeys) {
+        keyFilter = `AND license_key IN (${licenseKeys.map((_, index) => `$${index + 5}`).join(', ')})`;
+        params.push(...licenseKeys);
+    }
+
+    if (teamId !== null) {
+        params.push(teamId);
+        keyFilter += ` AND license_key IN (SELECT license_key FROM license_keys WHERE team_id = $${params.length})`;
+    }
+
+    const result = await pool.query(`
+        SELECT
+            to_char(date_trunc($1, timestamp::timestamptz AT TIME ZONE $2), 'YYYY-MM-DD"T"HH24:MI') AS bucket,
+            COUNT(*) AS count
+        FROM access_logs
+        WHERE action = 'comment_posted' AND timestamp >= $3 AND timestamp < $4 ${keyFilter}
+        GROUP BY 1
+        ORDER BY 1
+    `, params);
+
+    const counts = {};
+    result.rows.forEach(row => {
+        counts[row.bucket] = parseInt(row.count);
+    });
+
+    const series = bucketKeys({ granularity, timezone, from, to }).map(bucket => ({
+        bucket,
+        count: counts[bucket] || 0
+    }));
+
+    return {
+        from,
+        to,
+        total: series.reduce((sum, point) => sum + point.count, 0),
+        series
+    };
+}
+
+// Série de la période demandée + période précédente de même durée pour comparaison
+// licenseKeys : tableau de clés, ou null pour toutes les clés ; teamId : seulement les clés de l'équipe
+async function getCommentAnalytics(query, licenseKeys = null, teamId = null) {
+    const durationMs = query.to.getTime() - query.from.getTime();
+
+    const current = await countByBucket(query, licenseKeys, teamId);
+    const previous = await countByBucket({
+        ...query,
+        from: new Date(query.from.getTime() - durationMs),
+        to: query.from
+    }, licenseKeys, teamId);
+
+    const difference = current.total - previous.total;
+
+    return {
+        granularity: query.granularity,
+        timezone: query.timezone,
+        current,
+        previous,
+        change: {
+            absolute: difference,
+            percent: previous.total > 0 ? Math.round((difference / previous.total) * 1000) / 10 : null
+        }
+    };
+}
+
+module.exports = {
+    MAX_KEYS,
+    parseAnalyticsQuery,
+    getCommentAnalytics
+};
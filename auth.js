@@ -0,0 +1,123 @@
+// Mots de passe hachés (scrypt), jetons de session signés (HMAC) et jetons de rafraîchissement
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+// Paramètres scrypt (stockés avec chaque hash pour pouvoir les faire évoluer)
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+const SCRYPT_KEYLEN = 64;
+const HASH_PREFIX = 'scrypt';
+
+// Format stocké : scrypt$N$r$p$sel$hash
+async function hashPassword(password) {
+    const salt = crypto.randomBytes(16);
+    const { N, r, p } = SCRYPT_PARAMS;
+    const derived = await scrypt(password, salt, SCRYPT_KEYLEN, { N, r, p });
+    return [HASH_PREFIX, N, r, p, salt.toString('base64'), derived.toString('base64')].join('$');
+}
+
+function isPasswordHash(stored) {
+    return typeof stored === 'string' && stored.startsWith(`${HASH_PREFIX}$`);
+}
+
+// Comparer un mot de passe à la valeur stockée.
+// Les anciennes lignes en clair sont acceptées mais signalées pour re-hachage.
+async function verifyPassword(password, stored) {
+    if (typeof password !== 'string' || typeof stored !== 'string') {
+        return { valid: false, needsRehash: false };
+    }
+
+    if (!isPasswordHash(stored)) {
+        const expected = Buffer.from(stored);
+        const received = Buffer.from(password);
+        const valid = expected.length === received.length && crypto.timingSafeEqual(expected, received);
+        return { valid, needsRehash: valid };
+    }
+
+    const [, N, r, p, salt, hash] = stored.split('$');
+    const expected = Buffer.from(hash, 'base64');
+    const derived = await scrypt(password, Buffer.from(salt, 'base64'), expected.length, {
+        N: parseInt(N),
+        r: parseInt(r),
+        p: parseInt(p)
+    });
+
+    const valid = crypto.timingSafeEqual(expected, derived);
+    const needsRehash = valid && (
+        parseInt(N) !== SCRYPT_PARAMS.N ||
+        parseInt(r) !== SCRYPT_PARAMS.r ||
+        parseInt(p) !== SCRYPT_PARAMS.p
+    );
+
+    return { valid, needsRehash };
+}
+
+function base64url(buffer) {
+    return Buffer.from(buffer).toString('base64url');
+}
+
+function sign(data, secret) {
+    return crypto.createHmac('sha256', secret).update(data).digest('base64url');
+}
+
+// Créer un jeton d'accès court : payload.signature
+function createAccessToken(claims, secret, ttlSeconds) {
+    const now = Math.floor(Date.now() / 1000);
+    const payload = base64url(JSON.stringify({ ...claims, iat: now, exp: now + ttlSeconds }));
+    return `${payload}.${sign(payload, secret)}`;
+}
+
+// Vérifier la signature et l'expiration, retourne les claims ou null
+function verifyAccessToken(token, secret) {
+    if (typeof token !== 'string') return null;
+
+    const parts = token.split('.');
+    if (parts.length !== 2) return null;
+
+    const [payload, signature] = parts;
+    const expected = Buffer.from(sign(payload, secret));
+    const received = Buffer.from(signature);
+
+    if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+        return null;
+    }
+
+    try {
+        const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+        if (!claims.exp || claims.exp < Math.floor(Date.now() / 1000)) {
+            return null;
+        }
+        return claims;
+    } catch (error) {
+        return null;
+    }
+}
+
+// Jeton opaque (id de session ou refresh token)
+function generateToken(bytes = 32) {
+    return crypto.randomBytes(bytes).toString('base64url');
+}
+
+// Seul le hash du refresh token est stocké en base
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Extraire le jeton "Bearer" de l'en-tête Authorization
+function getBearerToken(req) {
+    const header = req.headers.authorization || '';
+    const match = header.match(/^Bearer\s+(.+)$/i);
+    return match ? match[1].trim() : null;
+}
+
+module.exports = {
+    hashPassword,
+    isPasswordHash,
+    verifyPassword,
+    createAccessToken,
+    verifyAccessToken,
+    generateToken,
+    hashToken,
+    getBearerToken
+};
@@ -0,0 +1,86 @@
+// Création de clés en lot : validation des lignes et noms d'utilisateur VA (sans accès à la base)
+const { resolveKeyOptions } = require('./licenses');
+
+const MAX_BULK_ROWS = 500;
+const MAX_OWNER_LENGTH = 255;
+const MAX_USERNAME_LENGTH = 100;
+
+// "Zoé Martin" -> "zoe.martin"
+function usernameFromOwner(owner) {
+    const base = owner
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '.')
+        .replace(/^\.+|\.+$/g, '')
+        .slice(0, MAX_USERNAME_LENGTH - 4);
+
+    return base || 'va';
+}
+
+// Premier nom libre : base, base2, base3...
+function uniqueUsername(base, taken) {
+    let username = base;
+    for (let suffix = 2; taken.has(username); suffix++) {
+        username = `${base}${suffix}`;
+    }
+    return username;
+}
+
+// Valider chaque ligne { owner, plan, days, maxDevices, username } avec les valeurs par défaut du lot.
+// existingUsernames : Set des noms déjà pris. Retourne un résultat par ligne :
+// { row, owner, ok, message } + plan/periodDays/deviceLimit/username si la ligne est valide
+function planBulkKeys(rows, defaults, { createUsers, existingUsernames }) {
+    const taken = new Set(existingUsernames);
+
+    return rows.map((input, index) => {
+        const row = index + 1;
+        const owner = typeof input.owner === 'string' ? input.owner.trim() : '';
+
+        if (!owner) {
+            return { row, owner, ok: false, message: 'Nom du propriétaire requis' };
+        }
+
+        if (owner.length > MAX_OWNER_LENGTH) {
+            return { row, owner, ok: false, message: `Nom du propriétaire trop long (${MAX_OWNER_LENGTH} caractères maximum)` };
+        }
+
+        const options = resolveKeyOptions({
+            plan: input.plan || defaults.plan,
+            days: input.days !== undefined && input.days !== '' ? input.days : defaults.days,
+            maxDevices: input.maxDevices || defaults.maxDevices
+        });
+
+        if (options.error) {
+            return { row, owner, ok: false, message: options.error };
+        }
+
+        const result = { row, owner, ok: true, message: 'OK', ...options };
+
+        if (createUsers) {
+            const requested = typeof input.username === 'string' ? input.username.trim() : '';
+
+            if (requested) {
+                if (requested.length > MAX_USERNAME_LENGTH) {
+                    return { row, owner, ok: false, message: 'Nom d\'utilisateur trop long' };
+                }
+                if (taken.has(requested)) {
+                    return { row, owner, ok: false, message: `Le nom d'utilisateur ${requested} existe déjà` };
+                }
+                result.username = requested;
+            } else {
+                result.username = uniqueUsername(usernameFromOwner(owner), taken);
+            }
+
+            taken.add(result.username);
+        }
+
+        return result;
+    });
+}
+
+module.exports = {
+    MAX_BULK_ROWS,
+    usernameFromOwner,
+    planBulkKeys
+};
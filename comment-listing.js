@@ -0,0 +1,60 @@
+// Commentaires remontés, filtrés et paginés (panneau admin et historique d'un VA)
+const pool = require('./db');
+const { createFilters, parseLimit, buildPage } = require('./pagination');
+const { addTeamFilter } = require('./teams');
+
+// Une page de commentaires, du plus récent au plus ancien : { comments, nextCursor } ou { error }
+// options : licenseKey, username, status, search, from, to, beforeId, limit
+// teamId : portée de l'admin ; ownKey : clé du VA connecté (licenseKey et username sont alors ignorés)
+async function listComments(options, { teamId = null, ownKey = null } = {}) {
+    const { licenseKey, username, status, search, from, to, beforeId } = options;
+    const limit = parseLimit(options.limit);
+
+    const filters = createFilters();
+    addTeamFilter(filters, teamId);
+    if (ownKey) {
+        filters.add('c.license_key = ?', ownKey);
+    } else {
+        if (licenseKey) filters.add('c.license_key = ?', licenseKey);
+        if (username) filters.add('c.license_key = (SELECT license_key FROM users WHERE username = ?)', username);
+    }
+    if (status) filters.add('c.status = ?', status);
+    if (search) filters.add('(c.comment_text ILIKE ? OR c.target_account ILIKE ?)', `%${search}%`);
+    if (from) filters.add('c.posted_at >= ?', new Date(from));
+    if (to) filters.add('c.posted_at <= ?', new Date(to));
+    if (parseInt(beforeId) > 0) filters.add('c.id < ?', parseInt(beforeId));
+
+    if (filters.hasInvalidDate()) {
+        return { error: 'Date invalide' };
+    }
+
+    const result = await pool.query(`
+        SELECT c.id, c.license_key, k.owner, c.tweet_id, c.tweet_url, c.target_account,
+            c.comment_text, c.status, c.posted_at, c.updated_at
+        FROM comments c
+        LEFT JOIN license_keys k ON k.license_key = c.license_key
+        ${filters.where()}
+        ORDER BY c.id DESC
+        LIMIT ${filters.param(limit + 1)}
+    `, filters.params);
+
+    const page = buildPage(result.rows, limit, row => row.id);
+
+    return {
+        comments: page.items.map(row => ({
+            id: row.id,
+            licenseKey: row.license_key,
+            owner: row.owner,
+            tweetId: row.tweet_id,
+            tweetUrl: row.tweet_url,
+            targetAccount: row.target_account,
+            commentText: row.comment_text,
+            status: row.status,
+            postedAt: row.posted_at,
+            updatedAt: row.updated_at
+        })),
+        nextCursor: page.nextCursor
+    };
+}
+
+module.exports = { listComments };
@@ -0,0 +1,59 @@
+// Commentaires remontés par l'extension : statuts et lecture des URLs de tweets
+const COMMENT_STATUSES = ['posted', 'failed', 'deleted'];
+
+const MAX_COMMENT_LENGTH = 5000;
+const MAX_URL_LENGTH = 500;
+
+// https://x.com/<compte>/status/<id> (ou twitter.com, mobile.twitter.com, /statuses/)
+const TWEET_URL_PATTERN = /^https?:\/\/(?:www\.|mobile\.)?(?:twitter|x)\.com\/([A-Za-z0-9_]{1,15})\/status(?:es)?\/(\d{1,25})/;
+const TWEET_ID_PATTERN = /^\d{1,25}$/;
+const ACCOUNT_PATTERN = /^@?([A-Za-z0-9_]{1,15})$/;
+
+function isValidCommentStatus(status) {
+    return COMMENT_STATUSES.includes(status);
+}
+
+// Extraire l'id du tweet et le compte ciblé d'une URL (null si l'URL n'est pas reconnue)
+function parseTweetUrl(url) {
+    if (typeof url !== 'string') return null;
+    const match = url.match(TWEET_URL_PATTERN);
+    return match ? { account: match[1], tweetId: match[2] } : null;
+}
+
+function normalizeTweetId(tweetId) {
+    const value = typeof tweetId === 'string' || typeof tweetId === 'number' ? String(tweetId) : '';
+    return TWEET_ID_PATTERN.test(value) ? value : null;
+}
+
+// Date de publication envoyée par l'extension (texte ou horodatage) : maintenant si absente, null si invalide
+function parsePostedAt(postedAt) {
+    if (postedAt === undefined || postedAt === null || postedAt === '') return new Date();
+    if (typeof postedAt !== 'string' && typeof postedAt !== 'number') return null;
+
+    const date = new Date(postedAt);
+    return isNaN(date) ? null : date;
+}
+
+function normalizeAccount(account) {
+    if (typeof account !== 'string') return null;
+    const match = account.match(ACCOUNT_PATTERN);
+    return match ? match[1] : null;
+}
+
+// Un nouveau rapport pour le même tweet n'est accepté que s'il fait avancer le statut
+// (nouvel essai réussi après un échec, ou suppression d'un commentaire publié)
+function canChangeStatus(from, to) {
+    return (from === 'failed' && to === 'posted') || (from === 'posted' && to === 'deleted');
+}
+
+module.exports = {
+    COMMENT_STATUSES,
+    MAX_COMMENT_LENGTH,
+    MAX_URL_LENGTH,
+    isValidCommentStatus,
+    parseTweetUrl,
+    normalizeTweetId,
+    parsePostedAt,
+    normalizeAccount,
+    canChangeStatus
+};
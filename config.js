@@ -0,0 +1,92 @@
+// Configuration du serveur lue depuis les variables d'environnement
+const crypto = require('crypto');
+
+function readBoolean(name, defaultValue = false) {
+    const value = process.env[name];
+    if (value === undefined || value === '') return defaultValue;
+    return ['1', 'true', 'yes', 'on'].includes(value.toLowerCase());
+}
+
+function readInt(name, defaultValue) {
+    const value = parseInt(process.env[name], 10);
+    return Number.isNaN(value) ? defaultValue : value;
+}
+
+// Liste d'entiers séparés par des virgules (ex: "100,500,1000")
+function readIntList(name, defaultValue) {
+    const value = process.env[name];
+    if (value === undefined || value === '') return defaultValue;
+    return value.split(',').map(item => parseInt(item, 10)).filter(item => !Number.isNaN(item));
+}
+
+// Secret de signature des sessions (aléatoire si absent : sessions perdues au redémarrage)
+const sessionSecret = process.env.SESSION_SECRET || crypto.randomBytes(48).toString('base64url');
+
+const config = {
+    port: readInt('PORT', 3000),
+    databaseUrl: process.env.DATABASE_URL,
+    isProduction: process.env.NODE_ENV === 'production',
+
+    // Sessions
+    sessionSecret,
+    sessionSecretIsEphemeral: !process.env.SESSION_SECRET,
+    accessTokenTtl: readInt('ACCESS_TOKEN_TTL', 15 * 60), // secondes
+    refreshTokenTtl: readInt('REFRESH_TOKEN_TTL', 7 * 24 * 60 * 60), // secondes
+
+    // Initialisation du compte créateur au premier démarrage
+    creatorUsername: 'creator',
+    creatorPassword: process.env.CREATOR_PASSWORD || null,
+    setupToken: process.env.SETUP_TOKEN || null,
+    minPasswordLength: readInt('MIN_PASSWORD_LENGTH', 8),
+
+    // Licences
+    defaultPlan: process.env.DEFAULT_PLAN || 'monthly',
+    expiringSoonDays: readInt('EXPIRING_SOON_DAYS', 7),
+
+    // Appareils : fenêtre "en ligne" et identifiant obligatoire ou non (anciennes extensions)
+    onlineWindowSeconds: readInt('ONLINE_WINDOW_SECONDS', 60),
+    requireDeviceId: readBoolean('REQUIRE_DEVICE_ID'),
+
+    // Rotation de clé : durée maximale pendant laquelle l'ancienne valeur reste acceptée
+    keyRotationMaxGraceHours: readInt('KEY_ROTATION_MAX_GRACE_HOURS', 72),
+
+    // Jetons de licence hors ligne : durée de validité sans contact avec le serveur
+    offlineGraceHours: readInt('OFFLINE_GRACE_HOURS', 72),
+
+    // Quotas de commentaires par défaut (fenêtres glissantes, 0 = illimité), modifiables par clé
+    commentQuota: {
+        hourly: readInt('DEFAULT_HOURLY_QUOTA', 30),
+        daily: readInt('DEFAULT_DAILY_QUOTA', 200)
+    },
+
+    // Webhooks sortants : tentatives avant abandon, délai de réponse, conservation du journal
+    webhooks: {
+        maxAttempts: readInt('WEBHOOK_MAX_ATTEMPTS', 6),
+        timeoutSeconds: readInt('WEBHOOK_TIMEOUT_SECONDS', 10),
+        pollSeconds: readInt('WEBHOOK_POLL_SECONDS', 15),
+        retentionDays: readInt('WEBHOOK_RETENTION_DAYS', 30),
+        commentMilestones: readIntList('WEBHOOK_COMMENT_MILESTONES', [100, 500, 1000, 5000, 10000])
+    },
+
+    // Nombre de proxys devant le serveur (pour lire la vraie IP client dans X-Forwarded-For)
+    trustProxy: readInt('TRUST_PROXY', process.env.NODE_ENV === 'production' ? 1 : 0),
+
+    // Requêtes maximum par IP et par fenêtre, selon le groupe de routes
+    rateLimits: {
+        windowSeconds: readInt('RATE_LIMIT_WINDOW_SECONDS', 60),
+        public: readInt('RATE_LIMIT_PUBLIC', 30),
+        extension: readInt('RATE_LIMIT_EXTENSION', 120),
+        admin: readInt('RATE_LIMIT_ADMIN', 300)
+    },
+
+    // Verrouillage progressif après échecs (durée doublée à chaque échec supplémentaire)
+    lockout: {
+        loginMaxFailures: readInt('LOGIN_MAX_FAILURES', 5),
+        verifyMaxFailures: readInt('VERIFY_MAX_FAILURES', 20),
+        baseSeconds: readInt('LOCKOUT_BASE_SECONDS', 60),
+        maxSeconds: readInt('LOCKOUT_MAX_SECONDS', 60 * 60),
+        resetSeconds: readInt('LOCKOUT_RESET_SECONDS', 24 * 60 * 60) // oubli des échecs après cette durée sans échec
+    }
+};
+
+module.exports = config;
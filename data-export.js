@@ -0,0 +1,79 @@
+// Exports CSV / JSON envoyés au fil de l'eau, page par page (jamais toute la table en mémoire)
+const EXPORT_FORMATS = ['csv', 'json'];
+
+// Valeur de cellule CSV : guillemets doublés, et préfixe ' devant = + - @ pour que les
+// tableurs n'interprètent pas une valeur saisie par un client comme une formule
+function csvCell(value) {
+    if (value === null || value === undefined) return '';
+
+    let text = value instanceof Date ? value.toISOString() : String(value);
+    if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Attendre que le client ait lu ce qui est en tampon (ou qu'il soit parti)
+function write(res, chunk) {
+    if (res.destroyed || res.write(chunk)) return Promise.resolve();
+
+    return new Promise(resolve => {
+        const done = () => {
+            res.off('drain', done);
+            res.off('close', done);
+            resolve();
+        };
+        res.on('drain', done);
+        res.on('close', done);
+    });
+}
+
+// columns : [{ key, header }] ; fetchPage(cursor) -> { rows, nextCursor } ou { error }
+// onStart : appelé une fois la première page acceptée, avant l'envoi
+// Retourne { error } sans rien envoyer si la première page est refusée (filtres invalides)
+async function streamExport(res, { format, filename, columns, fetchPage, onStart }) {
+    let page = await fetchPage(null);
+    if (page.error) return page;
+
+    if (onStart) await onStart();
+
+    const date = new Date().toISOString().slice(0, 10);
+    res.setHeader('Content-Type', format === 'csv' ? 'text/csv; charset=utf-8' : 'application/json; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}-${date}.${format}"`);
+
+    // BOM pour qu'Excel lise les accents en UTF-8
+    await write(res, format === 'csv'
+        ? '\uFEFF' + columns.map(column => csvCell(column.header)).join(',') + '\r\n'
+        : '[');
+
+    let first = true;
+    for (;;) {
+        const chunk = page.rows.map(row => {
+            if (format === 'csv') {
+                return columns.map(column => csvCell(row[column.key])).join(',') + '\r\n';
+            }
+            const item = {};
+            columns.forEach(column => {
+                item[column.key] = row[column.key] === undefined ? null : row[column.key];
+            });
+            const json = (first ? '\n' : ',\n') + JSON.stringify(item);
+            first = false;
+            return json;
+        }).join('');
+
+        if (chunk) await write(res, chunk);
+
+        // Client parti : inutile de lire la suite
+        if (!page.nextCursor || res.destroyed) break;
+        page = await fetchPage(page.nextCursor);
+        if (page.error) throw new Error(page.error);
+    }
+
+    res.end(format === 'csv' ? '' : '\n]\n');
+    return {};
+}
+
+module.exports = {
+    EXPORT_FORMATS,
+    csvCell,
+    streamExport
+};
@@ -0,0 +1,10 @@
+// Connexion PostgreSQL partagée
+const { Pool } = require('pg');
+const config = require('./config');
+
+const pool = new Pool({
+    connectionString: config.databaseUrl,
+    ssl: config.isProduction ? { rejectUnauthorized: false } : false
+});
+
+module.exports = pool;
@@ -0,0 +1,149 @@
+// Listes paginées de clés avec compteurs agrégés (une requête par page, sans requête par clé)
+const pool = require('./db');
+const {
+    createFilters,
+    parseLimit,
+    parseSort,
+    encodeCursor,
+    decodeCursor,
+    addKeysetCondition,
+    buildPage
+} = require('./pagination');
+const { addTeamFilter } = require('./teams');
+
+// Expressions de tri (jamais NULL, pour que le curseur reste comparable)
+const KEY_SORTS = {
+    createdAt: "COALESCE(k.created_at, TIMESTAMP 'epoch')",
+    owner: 'LOWER(k.owner)',
+    lastUsed: "COALESCE(k.last_used, TIMESTAMP 'epoch')",
+    expiresAt: "COALESCE(k.expires_at, TIMESTAMP 'infinity')",
+    commentsCount: 'COALESCE(c.count, 0)'
+};
+
+const MAX_SEARCH_LENGTH = 100;
+
+// Une page de clés : { keys, nextCursor } ou { error }
+// options : search (propriétaire ou clé), sort, order, cursor, limit ; activeOnly pour la vue publique,
+// teamId pour la portée d'un admin d'équipe
+async function listKeys(options, { activeOnly = false, defaultSort = 'createdAt', teamId = null } = {}) {
+    const sortSpec = parseSort(options, KEY_SORTS, defaultSort);
+    if (!sortSpec) {
+        return { error: `Tri invalide (${Object.keys(KEY_SORTS).join(', ')})` };
+    }
+
+    const filters = createFilters();
+
+    if (activeOnly) filters.add('k.active = true');
+    addTeamFilter(filters, teamId);
+
+    if (options.search) {
+        const search = String(options.search).trim().slice(0, MAX_SEARCH_LENGTH);
+        filters.add('(k.owner ILIKE ? OR k.license_key ILIKE ?)', `%${search}%`);
+    }
+
+    if (options.cursor) {
+        const cursor = decodeCursor(options.cursor);
+        if (!cursor || cursor.v === undefined || typeof cursor.id !== 'string') {
+            return { error: 'Curseur invalide' };
+        }
+        addKeysetCondition(filters, sortSpec, 'k.license_key', cursor);
+    }
+
+    const limit = parseLimit(options.limit);
+    const direction = sortSpec.direction.toUpperCase();
+    const limitParam = filters.param(limit + 1);
+
+    const result = await pool.query(`
+        SELECT
+            k.license_key, k.owner, k.active, k.role, k.created_at, k.last_used,
+            k.last_heartbeat, k.last_ip, k.plan, k.expires_at, k.max_devices, k.max_concurrent,
+            k.hourly_quota, k.daily_quota, k.team_id, t.name AS team_name,
+            COALESCE(c.count, 0) AS comments_count,
+            (${sortSpec.expression})::text AS sort_value
+        FROM license_keys k
+        LEFT JOIN teams t ON t.id = k.team_id
+        LEFT JOIN (
+            SELECT license_key, COUNT(*) AS count
+            FROM access_logs
+            WHERE action = 'comment_posted'
+            GROUP BY license_key
+        ) c ON c.license_key = k.license_key
+        ${filters.where()}
+        ORDER BY ${sortSpec.expression} ${direction}, k.license_key ${direction}
+        LIMIT ${limitParam}
+    `, filters.params);
+
+    const page = buildPage(result.rows, limit, row => encodeCursor({ v: row.sort_value, id: row.license_key }));
+
+    return {
+        keys: page.items.map(row => ({ ...row, comments_count: parseInt(row.comments_count) })),
+        nextCursor: page.nextCursor
+    };
+}
+
+// Totaux sur toutes les clés (ou celles d'une équipe), indépendants de la page affichée
+async function getKeyTotals({ activeOnly = false, teamId = null } = {}) {
+    const activeFilter = activeOnly ? 'AND k.active = true' : '';
+    const teamFilter = teamId === null ? '' : 'AND k.team_id = $1';
+    const adminTeamFilter = teamId === null ? '' : 'AND team_id = $1';
+
+    const result = await pool.query(`
+        SELECT
+            (SELECT COUNT(*) FROM license_keys k WHERE true ${activeFilter} ${teamFilter}) AS total_keys,
+            (SELECT COUNT(*) FROM license_keys k WHERE k.active = true ${teamFilter}) AS active_keys,
+            (SELECT COUNT(*) FROM users u JOIN license_keys k ON k.license_key = u.license_key WHERE u.role = 'va' ${activeFilter} ${teamFilter}) AS total_vas,
+            (SELECT COUNT(*) FROM users WHERE role = 'admin' ${adminTeamFilter}) AS total_admins,
+            (SELECT COUNT(*) FROM access_logs l JOIN license_keys k ON k.license_key = l.license_key WHERE l.action = 'comment_posted' ${activeFilter} ${teamFilter}) AS total_comments
+    `, teamId === null ? [] : [teamId]);
+
+    const row = result.rows[0];
+    return {
+        totalKeys: parseInt(row.total_keys),
+        activeKeys: parseInt(row.active_keys),
+        totalVAs: parseInt(row.total_vas),
+        totalAdmins: parseInt(row.total_admins),
+        totalComments: parseInt(row.total_comments)
+    };
+}
+
+// Regrouper les lignes d'une requête "license_key IN (...)" par clé
+async function groupByKey(sql, licenseKeys) {
+    const grouped = {};
+    licenseKeys.forEach(key => {
+        grouped[key] = [];
+    });
+
+    if (licenseKeys.length === 0) return grouped;
+
+    const placeholders = licenseKeys.map((_, index) => `$${index + 1}`).join(', ');
+    const result = await pool.query(sql.replace('(?)', `(${placeholders})`), licenseKeys);
+
+    result.rows.forEach(row => {
+        const { license_key: key, ...rest } = row;
+        grouped[key].push(rest);
+    });
+
+    return grouped;
+}
+
+function getUsersByKey(licenseKeys) {
+    return groupByKey(
+        'SELECT license_key, username, role, created_at, last_login FROM users WHERE license_key IN (?) ORDER BY role, username',
+        licenseKeys
+    );
+}
+
+function getIpsByKey(licenseKeys) {
+    return groupByKey(
+        'SELECT license_key, ip_address, first_seen, last_seen FROM key_ips WHERE license_key IN (?) ORDER BY last_seen DESC',
+        licenseKeys
+    );
+}
+
+module.exports = {
+    KEY_SORTS,
+    listKeys,
+    getKeyTotals,
+    getUsersByKey,
+    getIpsByKey
+};
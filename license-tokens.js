@@ -0,0 +1,124 @@
+// Jetons de licence signés (EdDSA / Ed25519) vérifiables hors ligne par l'extension
+const crypto = require('crypto');
+const pool = require('./db');
+const config = require('./config');
+
+const ALGORITHM = 'EdDSA';
+const ISSUER = 'twitter-license-server';
+
+// Clé de signature active en cache (rechargée après rotation)
+let activeKey = null;
+
+function base64url(value) {
+    return Buffer.from(typeof value === 'string' ? value : JSON.stringify(value)).toString('base64url');
+}
+
+async function createSigningKey() {
+    const { publicKey, privateKey } = crypto.generateKeyPairSync('ed25519');
+    const kid = crypto.randomBytes(8).toString('hex');
+
+    await pool.query(
+        'INSERT INTO signing_keys (kid, algorithm, public_key, private_key, status) VALUES ($1, $2, $3, $4, $5)',
+        [
+            kid,
+            ALGORITHM,
+            publicKey.export({ type: 'spki', format: 'pem' }),
+            privateKey.export({ type: 'pkcs8', format: 'pem' }),
+            'active'
+        ]
+    );
+
+    return { kid, privateKey };
+}
+
+// Charger (ou créer au premier appel) la clé de signature active
+async function getActiveSigningKey() {
+    if (activeKey) return activeKey;
+
+    const result = await pool.query(
+        'SELECT kid, private_key FROM signing_keys WHERE status = $1 ORDER BY created_at DESC LIMIT 1',
+        ['active']
+    );
+
+    if (result.rows.length > 0) {
+        activeKey = {
+            kid: result.rows[0].kid,
+            privateKey: crypto.createPrivateKey(result.rows[0].private_key)
+        };
+    } else {
+        activeKey = await createSigningKey();
+        console.log(`🔏 Clé de signature des licences créée (kid: ${activeKey.kid})`);
+    }
+
+    return activeKey;
+}
+
+// Rotation : nouvelle clé active, l'ancienne reste publiée pendant la période de grâce
+async function rotateSigningKey() {
+    await pool.query(
+        'UPDATE signing_keys SET status = $1, retired_at = NOW() WHERE status = $2',
+        ['retired', 'active']
+    );
+
+    activeKey = await createSigningKey();
+    return activeKey.kid;
+}
+
+// Clés publiques (JWKS) : active + retirées encore dans la période de grâce
+async function getPublicJwks() {
+    const graceStart = new Date(Date.now() - config.offlineGraceHours * 60 * 60 * 1000);
+
+    const result = await pool.query(`
+        SELECT kid, public_key, status
+        FROM signing_keys
+        WHERE status = 'active' OR retired_at > $1
+        ORDER BY created_at DESC
+    `, [graceStart]);
+
+    return {
+        keys: result.rows.map(row => ({
+            ...crypto.createPublicKey(row.public_key).export({ format: 'jwk' }),
+            kid: row.kid,
+            alg: ALGORITHM,
+            use: 'sig'
+        }))
+    };
+}
+
+// Signer un jeton compact (header.payload.signature) pour une clé de licence
+async function signLicenseToken({ licenseKey, owner, role, plan, expiresAt, deviceId }) {
+    const { kid, privateKey } = await getActiveSigningKey();
+
+    const now = Math.floor(Date.now() / 1000);
+    const licenseExpiry = expiresAt ? Math.floor(new Date(expiresAt).getTime() / 1000) : null;
+    const graceExpiry = now + config.offlineGraceHours * 60 * 60;
+
+    const header = { alg: ALGORITHM, typ: 'JWT', kid };
+    const payload = {
+        iss: ISSUER,
+        sub: licenseKey,
+        owner,
+        role: role || 'va',
+        plan,
+        device: deviceId || null,
+        lic_exp: licenseExpiry,
+        iat: now,
+        // Le jeton ne survit jamais à la licence elle-même
+        exp: licenseExpiry ? Math.min(graceExpiry, licenseExpiry) : graceExpiry
+    };
+
+    const data = `${base64url(header)}.${base64url(payload)}`;
+    const signature = crypto.sign(null, Buffer.from(data), privateKey).toString('base64url');
+
+    return {
+        token: `${data}.${signature}`,
+        expiresAt: new Date(payload.exp * 1000)
+    };
+}
+
+module.exports = {
+    getActiveSigningKey,
+    rotateSigningKey,
+    getPublicJwks,
+    signLicenseToken
+};
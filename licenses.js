@@ -0,0 +1,120 @@
+// Plans de licence, calculs d'expiration et format des clés
+const crypto = require('crypto');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// days: durée d'une période (null = sans expiration)
+const PLANS = {
+    trial: { label: 'Essai', days: 7, maxDevices: 1 },
+    monthly: { label: 'Mensuel', days: 30, maxDevices: 1 },
+    quarterly: { label: 'Trimestriel', days: 90, maxDevices: 2 },
+    yearly: { label: 'Annuel', days: 365, maxDevices: 3 },
+    lifetime: { label: 'À vie', days: null, maxDevices: 3 }
+};
+
+function isValidPlan(plan) {
+    return Object.prototype.hasOwnProperty.call(PLANS, plan);
+}
+
+function isExpired(expiresAt, now = new Date()) {
+    return Boolean(expiresAt) && new Date(expiresAt) <= now;
+}
+
+// Jours restants (arrondis au supérieur), null si la clé n'expire pas
+function daysRemaining(expiresAt, now = new Date()) {
+    if (!expiresAt) return null;
+    const remaining = new Date(expiresAt).getTime() - now.getTime();
+    return Math.max(0, Math.ceil(remaining / DAY_MS));
+}
+
+// Plan, durée et nombre d'appareils d'une nouvelle clé : valeurs du plan sauf surcharge explicite
+// Retourne { error } ou { plan, periodDays, deviceLimit } (periodDays null = sans expiration)
+function resolveKeyOptions({ plan, days, maxDevices }) {
+    if (!isValidPlan(plan)) {
+        return { error: 'Plan invalide' };
+    }
+
+    const periodDays = days !== undefined && days !== null && days !== '' ? parseInt(days) : PLANS[plan].days;
+    const deviceLimit = maxDevices ? parseInt(maxDevices) : PLANS[plan].maxDevices;
+
+    if ((periodDays !== null && !(periodDays > 0)) || !(deviceLimit > 0)) {
+        return { error: 'Durée ou nombre d\'appareils invalide' };
+    }
+
+    return { plan, periodDays, deviceLimit };
+}
+
+// Clés TW-XXXX-XXXX-XXXX : 11 caractères aléatoires (base 32 de Crockford, sans I, L, O, U)
+// suivis d'un caractère de contrôle (Luhn mod 32) qui détecte les fautes de frappe
+const KEY_ALPHABET = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+const KEY_PATTERN = /^TW-([0-9A-Z]{4})-([0-9A-Z]{4})-([0-9A-Z]{4})$/;
+// Anciennes clés : 'TW-' + 1 à 13 caractères base 36 (Math.random), toujours acceptées
+const LEGACY_KEY_PATTERN = /^TW-[0-9A-Z]{1,13}$/;
+
+function checkCharacter(payload) {
+    let sum = 0;
+    let factor = 2;
+
+    for (let i = payload.length - 1; i >= 0; i--) {
+        const addend = factor * KEY_ALPHABET.indexOf(payload[i]);
+        sum += Math.floor(addend / KEY_ALPHABET.length) + (addend % KEY_ALPHABET.length);
+        factor = factor === 2 ? 1 : 2;
+    }
+
+    return KEY_ALPHABET[(KEY_ALPHABET.length - (sum % KEY_ALPHABET.length)) % KEY_ALPHABET.length];
+}
+
+function generateLicenseKey() {
+    let payload = '';
+    for (let i = 0; i < 11; i++) {
+        payload += KEY_ALPHABET[crypto.randomInt(KEY_ALPHABET.length)];
+    }
+
+    const chars = payload + checkCharacter(payload);
+    return `TW-${chars.slice(0, 4)}-${chars.slice(4, 8)}-${chars.slice(8)}`;
+}
+
+// Lire une clé saisie, sans accès à la base : { key } (forme canonique, legacy: true pour
+// l'ancien format) ou { error } si le format ou le caractère de contrôle est faux
+function parseLicenseKey(input) {
+    if (typeof input !== 'string') {
+        return { error: 'Format de clé invalide' };
+    }
+
+    const value = input.trim().toUpperCase();
+    const match = value.match(KEY_PATTERN);
+
+    if (match) {
+        // Confusions courantes à la saisie : O pour 0, I ou L pour 1
+        const chars = match.slice(1).join('').replace(/O/g, '0').replace(/[IL]/g, '1');
+
+        if ([...chars].some(char => !KEY_ALPHABET.includes(char)) || checkCharacter(chars.slice(0, 11)) !== chars[11]) {
+            return { error: 'Clé mal saisie, vérifiez les caractères' };
+        }
+
+        return { key: `TW-${chars.slice(0, 4)}-${chars.slice(4, 8)}-${chars.slice(8)}`, legacy: false };
+    }
+
+    if (LEGACY_KEY_PATTERN.test(value)) {
+        return { key: value, legacy: true };
+    }
+
+    return { error: 'Format de clé invalide' };
+}
+
+// Nouvelle date d'expiration : la période démarre à la fin de la précédente si elle court encore
+function extendExpiration(expiresAt, days, now = new Date()) {
+    const start = expiresAt && new Date(expiresAt) > now ? new Date(expiresAt) : now;
+    return new Date(start.getTime() + days * DAY_MS);
+}
+
+module.exports = {
+    PLANS,
+    isValidPlan,
+    isExpired,
+    daysRemaining,
+    extendExpiration,
+    resolveKeyOptions,
+    generateLicenseKey,
+    parseLicenseKey
+};
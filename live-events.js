@@ -0,0 +1,64 @@
+// Flux temps réel du panneau admin (Server-Sent Events), diffusé en mémoire aux panneaux connectés.
+// Une seule instance du serveur : un panneau ne reçoit que les événements de l'instance où il est connecté.
+const clients = new Set();
+
+// Commentaire périodique pour que les proxys ne coupent pas une connexion silencieuse
+const KEEPALIVE_MS = 25 * 1000;
+
+// Client trop lent (tampon plein) : on coupe plutôt que d'accumuler en mémoire
+const MAX_BUFFERED_BYTES = 1024 * 1024;
+
+// Ouvrir le flux ; il est fermé à expiresAt (fin du jeton d'accès) pour que le panneau
+// se reconnecte avec un jeton rafraîchi et qu'une session révoquée ne reçoive plus rien.
+// teamId : le panneau d'un admin d'équipe ne reçoit que les événements de son équipe (null = tout)
+function openStream(req, res, { expiresAt, teamId = null }) {
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream; charset=utf-8',
+        'Cache-Control': 'no-cache, no-transform',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.write('retry: 5000\n\n');
+
+    const client = { res, username: req.username || null, teamId };
+    clients.add(client);
+
+    const keepalive = setInterval(() => res.write(': ping\n\n'), KEEPALIVE_MS);
+    const expiry = setTimeout(() => res.end(), Math.max(expiresAt.getTime() - Date.now(), 0));
+
+    res.on('close', () => {
+        clearInterval(keepalive);
+        clearTimeout(expiry);
+        clients.delete(client);
+    });
+
+    send(client, 'ready', { connectedClients: clients.size });
+}
+
+function send(client, type, data) {
+    if (client.res.writableLength > MAX_BUFFERED_BYTES) {
+        client.res.destroy();
+        return;
+    }
+    client.res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+// Diffuser un événement aux panneaux connectés (sans effet s'il n'y en a aucun).
+// teamId : équipe concernée ; les panneaux des autres équipes ne le reçoivent pas
+function publish(type, data, { teamId = null } = {}) {
+    for (const client of clients) {
+        if (client.teamId === null || client.teamId === teamId) {
+            send(client, type, { ...data, at: new Date().toISOString() });
+        }
+    }
+}
+
+function hasListeners() {
+    return clients.size > 0;
+}
+
+module.exports = {
+    openStream,
+    publish,
+    hasListeners
+};
@@ -0,0 +1,54 @@
+// Logs d'accès filtrés et paginés (explorateur de l'admin et exports)
+const pool = require('./db');
+const { createFilters, parseLimit, buildPage } = require('./pagination');
+const { addTeamFilter } = require('./teams');
+
+// Une page de logs, du plus récent au plus ancien : { logs, nextCursor } ou { error }
+// options : licenseKey, action, status, ip, search, from, to, beforeId, limit ; teamId : portée de l'admin
+async function listLogs(options, { teamId = null } = {}) {
+    const { licenseKey, action, status, ip, search, from, to, beforeId } = options;
+    const limit = parseLimit(options.limit, 100);
+
+    const filters = createFilters();
+    addTeamFilter(filters, teamId);
+    if (licenseKey) filters.add('l.license_key = ?', licenseKey);
+    if (action) filters.add('l.action = ?', action);
+    if (status) filters.add('l.status = ?', status);
+    if (ip) filters.add('l.ip_address = ?', ip);
+    if (search) {
+        filters.add('(l.license_key ILIKE ? OR k.owner ILIKE ? OR l.action ILIKE ? OR l.status ILIKE ? OR l.ip_address ILIKE ?)', `%${search}%`);
+    }
+    if (from) filters.add('l.timestamp >= ?', new Date(from));
+    if (to) filters.add('l.timestamp <= ?', new Date(to));
+    if (parseInt(beforeId) > 0) filters.add('l.id < ?', parseInt(beforeId));
+
+    if (filters.hasInvalidDate()) {
+        return { error: 'Date invalide' };
+    }
+
+    const result = await pool.query(`
+        SELECT l.id, l.license_key, k.owner, l.action, l.status, l.ip_address, l.timestamp
+        FROM access_logs l
+        LEFT JOIN license_keys k ON k.license_key = l.license_key
+        ${filters.where()}
+        ORDER BY l.id DESC
+        LIMIT ${filters.param(limit + 1)}
+    `, filters.params);
+
+    const page = buildPage(result.rows, limit, row => row.id);
+
+    return {
+        logs: page.items.map(row => ({
+            id: row.id,
+            licenseKey: row.license_key,
+            owner: row.owner,
+            action: row.action,
+            status: row.status,
+            ipAddress: row.ip_address,
+            timestamp: row.timestamp
+        })),
+        nextCursor: page.nextCursor
+    };
+}
+
+module.exports = { listLogs };
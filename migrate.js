@@ -1,47 +1,50 @@
-// Script de migration pour ajouter la colonne ip_address
-const { Pool } = require('pg');
-
-const pool = new Pool({
-    connectionString: process.env.DATABASE_URL,
-    ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
-});
-
-async function migrate() {
-    const client = await pool.connect();
-
-    try {
-        console.log('🔄 Début de la migration...');
-
-        // Vérifier si la colonne existe
-        const checkColumn = await client.query(`
-            SELECT column_name
-            FROM information_schema.columns
-            WHERE table_name='access_logs' AND column_name='ip_address'
-        `);
-
-        if (checkColumn.rows.length === 0) {
-            console.log('📝 Ajout de la colonne ip_address...');
-
-            // Ajouter la colonne
-            await client.query(`
-                ALTER TABLE access_logs
-                ADD COLUMN ip_address VARCHAR(45)
-            `);
-
-            console.log('✅ Colonne ip_address ajoutée avec succès !');
-        } else {
-            console.log('✅ La colonne ip_address existe déjà');
-        }
-
-        console.log('✅ Migration terminée !');
+// CLI de migration du schéma
+//   node migrate.js up [version]   appliquer les migrations en attente
+//   node migrate.js down [n]       annuler les n dernières migrations (1 par défaut)
+//   node migrate.js status         afficher l'état des migrations
+const pool = require('./db');
+const { getStatus, migrateUp, migrateDown } = require('./migrator');
+
+// Entier strictement positif, ou null (parseInt accepterait "0", "2abc" ou renverrait NaN)
+function parsePositiveInteger(value) {
+    return /^[1-9]\d*$/.test(value) ? parseInt(value, 10) : null;
+}
 
-    } catch (error) {
-        console.error('❌ Erreur migration:', error);
-        throw error;
-    } finally {
-        client.release();
-        await pool.end();
+async function main() {
+    const [command = 'up', argument] = process.argv.slice(2);
+    const number = argument === undefined ? undefined : parsePositiveInteger(argument);
+
+    if (number === null && ['up', 'down'].includes(command)) {
+        console.error(`Argument invalide : ${argument} (entier positif attendu)`);
+        process.exitCode = 1;
+    } else if (command === 'up') {
+        const target = number ?? Infinity;
+        const applied = await migrateUp(target);
+        console.log(applied.length > 0
+            ? `✅ ${applied.length} migration(s) appliquée(s)`
+            : '✅ Base de données à jour');
+    } else if (command === 'down') {
+        const steps = number ?? 1;
+        const reverted = await migrateDown(steps);
+        console.log(`✅ ${reverted.length} migration(s) annulée(s)`);
+    } else if (command === 'status') {
+        const { migrations, pending, missing } = await getStatus();
+        migrations.forEach(migration => {
+            console.log(`${migration.applied ? '✅' : '⏳'} ${migration.id}`);
+        });
+        missing.forEach(version => {
+            console.log(`⚠️ ${version} appliquée mais fichier introuvable`);
+        });
+        console.log(`\n${pending.length} migration(s) en attente`);
+    } else {
+        console.error(`Commande inconnue : ${command} (up, down, status)`);
+        process.exitCode = 1;
     }
 }
 
-migrate();
+main()
+    .catch(error => {
+        console.error('❌ Erreur migration:', error);
+        process.exitCode = 1;
+    })
+    .finally(() => pool.end());
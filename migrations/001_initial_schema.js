@@ -0,0 +1,85 @@
+// Schéma initial : clés, logs, IPs, utilisateurs et invités
+// (compatible avec les bases créées par l'ancien initDatabase)
+
+async function up(client) {
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS license_keys (
+            license_key VARCHAR(50) PRIMARY KEY,
+            owner VARCHAR(255) NOT NULL,
+            active BOOLEAN DEFAULT true,
+            role VARCHAR(20) DEFAULT 'va',
+            created_at TIMESTAMP DEFAULT NOW(),
+            last_used TIMESTAMP,
+            last_heartbeat TIMESTAMP,
+            last_ip VARCHAR(45),
+            CONSTRAINT key_role_check CHECK (role IN ('admin', 'va'))
+        )
+    `);
+
+    await client.query(`
+        ALTER TABLE license_keys
+        ADD COLUMN IF NOT EXISTS role VARCHAR(20) DEFAULT 'va'
+    `);
+
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS access_logs (
+            id SERIAL PRIMARY KEY,
+            license_key VARCHAR(50) NOT NULL,
+            action VARCHAR(50) NOT NULL,
+            status VARCHAR(50) NOT NULL,
+            ip_address VARCHAR(45),
+            timestamp TIMESTAMP DEFAULT NOW()
+        )
+    `);
+
+    await client.query(`
+        ALTER TABLE access_logs
+        ADD COLUMN IF NOT EXISTS ip_address VARCHAR(45)
+    `);
+
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS key_ips (
+            id SERIAL PRIMARY KEY,
+            license_key VARCHAR(50) NOT NULL,
+            ip_address VARCHAR(45) NOT NULL,
+            first_seen TIMESTAMP DEFAULT NOW(),
+            last_seen TIMESTAMP DEFAULT NOW(),
+            UNIQUE(license_key, ip_address)
+        )
+    `);
+
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS users (
+            id SERIAL PRIMARY KEY,
+            username VARCHAR(100) UNIQUE NOT NULL,
+            password VARCHAR(255) NOT NULL,
+            role VARCHAR(20) NOT NULL DEFAULT 'va',
+            license_key VARCHAR(50),
+            created_at TIMESTAMP DEFAULT NOW(),
+            created_by VARCHAR(50) DEFAULT 'admin',
+            last_login TIMESTAMP,
+            CONSTRAINT role_check CHECK (role IN ('creator', 'admin', 'va'))
+        )
+    `);
+
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS guest_users (
+            id SERIAL PRIMARY KEY,
+            username VARCHAR(100) UNIQUE NOT NULL,
+            password VARCHAR(255) NOT NULL,
+            created_at TIMESTAMP DEFAULT NOW(),
+            created_by VARCHAR(50) DEFAULT 'admin',
+            last_login TIMESTAMP
+        )
+    `);
+}
+
+async function down(client) {
+    await client.query('DROP TABLE IF EXISTS guest_users');
+    await client.query('DROP TABLE IF EXISTS users');
+    await client.query('DROP TABLE IF EXISTS key_ips');
+    await client.query('DROP TABLE IF EXISTS access_logs');
+    await client.query('DROP TABLE IF EXISTS license_keys');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,24 @@
+// Sessions admin : jeton d'accès + refresh token haché
+
+async function up(client) {
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS sessions (
+            id VARCHAR(64) PRIMARY KEY,
+            username VARCHAR(100) NOT NULL,
+            role VARCHAR(20) NOT NULL,
+            refresh_token_hash VARCHAR(64) UNIQUE NOT NULL,
+            created_at TIMESTAMP DEFAULT NOW(),
+            last_used_at TIMESTAMP DEFAULT NOW(),
+            expires_at TIMESTAMP NOT NULL,
+            revoked_at TIMESTAMP,
+            ip_address VARCHAR(45),
+            user_agent TEXT
+        )
+    `);
+}
+
+async function down(client) {
+    await client.query('DROP TABLE IF EXISTS sessions');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,23 @@
+// Plans de licence : expiration et limites d'appareils
+
+async function up(client) {
+    await client.query(`
+        ALTER TABLE license_keys
+        ADD COLUMN IF NOT EXISTS plan VARCHAR(20) DEFAULT 'lifetime',
+        ADD COLUMN IF NOT EXISTS expires_at TIMESTAMP,
+        ADD COLUMN IF NOT EXISTS max_devices INTEGER DEFAULT 1,
+        ADD COLUMN IF NOT EXISTS max_concurrent INTEGER DEFAULT 1
+    `);
+}
+
+async function down(client) {
+    await client.query(`
+        ALTER TABLE license_keys
+        DROP COLUMN IF EXISTS max_concurrent,
+        DROP COLUMN IF EXISTS max_devices,
+        DROP COLUMN IF EXISTS expires_at,
+        DROP COLUMN IF EXISTS plan
+    `);
+}
+
+module.exports = { up, down };
@@ -0,0 +1,21 @@
+// Appareils liés à chaque clé de licence
+
+async function up(client) {
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS key_devices (
+            id SERIAL PRIMARY KEY,
+            license_key VARCHAR(50) NOT NULL,
+            device_id VARCHAR(128) NOT NULL,
+            first_seen TIMESTAMP DEFAULT NOW(),
+            last_seen TIMESTAMP DEFAULT NOW(),
+            last_ip VARCHAR(45),
+            UNIQUE(license_key, device_id)
+        )
+    `);
+}
+
+async function down(client) {
+    await client.query('DROP TABLE IF EXISTS key_devices');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,21 @@
+// Clés de signature des jetons de licence hors ligne
+
+async function up(client) {
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS signing_keys (
+            kid VARCHAR(32) PRIMARY KEY,
+            algorithm VARCHAR(20) NOT NULL DEFAULT 'EdDSA',
+            public_key TEXT NOT NULL,
+            private_key TEXT NOT NULL,
+            status VARCHAR(20) NOT NULL DEFAULT 'active',
+            created_at TIMESTAMP DEFAULT NOW(),
+            retired_at TIMESTAMP
+        )
+    `);
+}
+
+async function down(client) {
+    await client.query('DROP TABLE IF EXISTS signing_keys');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,29 @@
+// Journal d'audit des actions d'administration
+
+async function up(client) {
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS admin_audit_log (
+            id SERIAL PRIMARY KEY,
+            actor_username VARCHAR(255) NOT NULL,
+            actor_role VARCHAR(50),
+            action VARCHAR(100) NOT NULL,
+            target_type VARCHAR(50),
+            target_id VARCHAR(255),
+            before_value JSONB,
+            after_value JSONB,
+            ip_address VARCHAR(45),
+            user_agent TEXT,
+            created_at TIMESTAMP DEFAULT NOW()
+        )
+    `);
+
+    await client.query('CREATE INDEX IF NOT EXISTS idx_admin_audit_created ON admin_audit_log (created_at)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_admin_audit_actor ON admin_audit_log (actor_username)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_admin_audit_target ON admin_audit_log (target_type, target_id)');
+}
+
+async function down(client) {
+    await client.query('DROP TABLE IF EXISTS admin_audit_log');
+}
+
+module.exports = { up, down };
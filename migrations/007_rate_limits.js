@@ -0,0 +1,40 @@
+// Limitation de débit, verrouillage progressif et liste de blocage IP
+
+async function up(client) {
+    // Compteurs par fenêtre fixe (ex: "public:1.2.3.4")
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS rate_limits (
+            bucket VARCHAR(255) PRIMARY KEY,
+            hits INTEGER NOT NULL DEFAULT 0,
+            window_start TIMESTAMP NOT NULL
+        )
+    `);
+
+    // Échecs d'authentification par portée (ex: "login-user:bob", "verify-ip:1.2.3.4")
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS auth_failures (
+            scope VARCHAR(255) PRIMARY KEY,
+            failures INTEGER NOT NULL DEFAULT 0,
+            last_failure TIMESTAMP NOT NULL,
+            locked_until TIMESTAMP
+        )
+    `);
+
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS ip_blocklist (
+            ip_address VARCHAR(45) PRIMARY KEY,
+            reason TEXT,
+            created_by VARCHAR(255),
+            created_at TIMESTAMP DEFAULT NOW(),
+            expires_at TIMESTAMP
+        )
+    `);
+}
+
+async function down(client) {
+    await client.query('DROP TABLE IF EXISTS ip_blocklist');
+    await client.query('DROP TABLE IF EXISTS auth_failures');
+    await client.query('DROP TABLE IF EXISTS rate_limits');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,29 @@
+// Commentaires détaillés remontés par l'extension (tweet, compte ciblé, texte, résultat)
+
+async function up(client) {
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS comments (
+            id SERIAL PRIMARY KEY,
+            license_key VARCHAR(50) NOT NULL,
+            tweet_id VARCHAR(32) NOT NULL,
+            tweet_url TEXT,
+            target_account VARCHAR(100),
+            comment_text TEXT,
+            status VARCHAR(20) NOT NULL DEFAULT 'posted',
+            posted_at TIMESTAMP DEFAULT NOW(),
+            created_at TIMESTAMP DEFAULT NOW(),
+            updated_at TIMESTAMP DEFAULT NOW(),
+            ip_address VARCHAR(45),
+            UNIQUE(license_key, tweet_id),
+            CONSTRAINT comment_status_check CHECK (status IN ('posted', 'failed', 'deleted'))
+        )
+    `);
+
+    await client.query('CREATE INDEX IF NOT EXISTS idx_comments_key_posted ON comments (license_key, posted_at)');
+}
+
+async function down(client) {
+    await client.query('DROP TABLE IF EXISTS comments');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,23 @@
+// Quotas de commentaires par clé (NULL = valeur globale, 0 = illimité)
+
+async function up(client) {
+    await client.query(`
+        ALTER TABLE license_keys
+        ADD COLUMN IF NOT EXISTS hourly_quota INTEGER,
+        ADD COLUMN IF NOT EXISTS daily_quota INTEGER
+    `);
+
+    // Comptage des commentaires sur des fenêtres glissantes
+    await client.query('CREATE INDEX IF NOT EXISTS idx_access_logs_key_action_time ON access_logs (license_key, action, timestamp)');
+}
+
+async function down(client) {
+    await client.query('DROP INDEX IF EXISTS idx_access_logs_key_action_time');
+    await client.query(`
+        ALTER TABLE license_keys
+        DROP COLUMN IF EXISTS hourly_quota,
+        DROP COLUMN IF EXISTS daily_quota
+    `);
+}
+
+module.exports = { up, down };
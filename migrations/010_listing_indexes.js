@@ -0,0 +1,17 @@
+// Index des listes paginées : comptage des commentaires par clé, IPs et utilisateurs d'une clé
+// (access_logs (license_key, action, ...) est déjà couvert par idx_access_logs_key_action_time)
+
+async function up(client) {
+    // Agrégat "commentaires par clé" sans lire la table (parcours d'index seul)
+    await client.query('CREATE INDEX IF NOT EXISTS idx_access_logs_action_key ON access_logs (action, license_key)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_key_ips_key_seen ON key_ips (license_key, last_seen DESC)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_users_license_key ON users (license_key)');
+}
+
+async function down(client) {
+    await client.query('DROP INDEX IF EXISTS idx_users_license_key');
+    await client.query('DROP INDEX IF EXISTS idx_key_ips_key_seen');
+    await client.query('DROP INDEX IF EXISTS idx_access_logs_action_key');
+}
+
+module.exports = { up, down };
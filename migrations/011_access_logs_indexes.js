@@ -0,0 +1,13 @@
+// Explorateur de logs : filtres par période et par IP sur tout l'historique
+
+async function up(client) {
+    await client.query('CREATE INDEX IF NOT EXISTS idx_access_logs_timestamp ON access_logs (timestamp)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_access_logs_ip ON access_logs (ip_address)');
+}
+
+async function down(client) {
+    await client.query('DROP INDEX IF EXISTS idx_access_logs_ip');
+    await client.query('DROP INDEX IF EXISTS idx_access_logs_timestamp');
+}
+
+module.exports = { up, down };
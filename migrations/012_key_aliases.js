@@ -0,0 +1,21 @@
+// Anciennes valeurs des clés après rotation (historique + période de grâce de l'ancienne valeur)
+
+async function up(client) {
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS key_aliases (
+            old_key VARCHAR(50) PRIMARY KEY,
+            license_key VARCHAR(50) NOT NULL,
+            created_by VARCHAR(100),
+            created_at TIMESTAMP DEFAULT NOW(),
+            expires_at TIMESTAMP NOT NULL
+        )
+    `);
+
+    await client.query('CREATE INDEX IF NOT EXISTS idx_key_aliases_license_key ON key_aliases (license_key)');
+}
+
+async function down(client) {
+    await client.query('DROP TABLE IF EXISTS key_aliases');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,47 @@
+// Webhooks sortants : abonnements (URL + événements) et file persistante des envois
+
+async function up(client) {
+    // events : liste JSON des événements suivis
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS webhook_endpoints (
+            id SERIAL PRIMARY KEY,
+            url TEXT NOT NULL,
+            description VARCHAR(255),
+            events JSONB NOT NULL DEFAULT '[]',
+            secret VARCHAR(100) NOT NULL,
+            active BOOLEAN NOT NULL DEFAULT true,
+            created_by VARCHAR(100),
+            created_at TIMESTAMP DEFAULT NOW(),
+            updated_at TIMESTAMP DEFAULT NOW()
+        )
+    `);
+
+    // Un envoi par abonnement et par événement, rejoué jusqu'à réussite ou abandon
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS webhook_deliveries (
+            id SERIAL PRIMARY KEY,
+            endpoint_id INTEGER NOT NULL REFERENCES webhook_endpoints (id) ON DELETE CASCADE,
+            event VARCHAR(50) NOT NULL,
+            payload JSONB NOT NULL,
+            status VARCHAR(20) NOT NULL DEFAULT 'pending',
+            attempts INTEGER NOT NULL DEFAULT 0,
+            next_attempt_at TIMESTAMP DEFAULT NOW(),
+            last_attempt_at TIMESTAMP,
+            response_status INTEGER,
+            last_error TEXT,
+            created_at TIMESTAMP DEFAULT NOW(),
+            delivered_at TIMESTAMP,
+            CONSTRAINT webhook_delivery_status_check CHECK (status IN ('pending', 'delivered', 'failed'))
+        )
+    `);
+
+    await client.query('CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due ON webhook_deliveries (status, next_attempt_at)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_endpoint ON webhook_deliveries (endpoint_id, id DESC)');
+}
+
+async function down(client) {
+    await client.query('DROP TABLE IF EXISTS webhook_deliveries');
+    await client.query('DROP TABLE IF EXISTS webhook_endpoints');
+}
+
+module.exports = { up, down };
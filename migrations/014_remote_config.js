@@ -0,0 +1,38 @@
+// Configuration à distance de l'extension : surcharges globales, par rôle et par clé, avec historique
+
+async function up(client) {
+    // scope : global (scope_id vide), role (scope_id = rôle) ou key (scope_id = clé de licence)
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS remote_config (
+            scope VARCHAR(10) NOT NULL,
+            scope_id VARCHAR(50) NOT NULL DEFAULT '',
+            settings JSONB NOT NULL,
+            updated_by VARCHAR(100),
+            updated_at TIMESTAMP DEFAULT NOW(),
+            PRIMARY KEY (scope, scope_id),
+            CONSTRAINT remote_config_scope_check CHECK (scope IN ('global', 'role', 'key'))
+        )
+    `);
+
+    // Chaque modification (settings NULL = surcharge supprimée)
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS remote_config_history (
+            id SERIAL PRIMARY KEY,
+            scope VARCHAR(10) NOT NULL,
+            scope_id VARCHAR(50) NOT NULL DEFAULT '',
+            before_settings JSONB,
+            after_settings JSONB,
+            changed_by VARCHAR(100),
+            changed_at TIMESTAMP DEFAULT NOW()
+        )
+    `);
+
+    await client.query('CREATE INDEX IF NOT EXISTS idx_remote_config_history_scope ON remote_config_history (scope, scope_id, id DESC)');
+}
+
+async function down(client) {
+    await client.query('DROP TABLE IF EXISTS remote_config_history');
+    await client.query('DROP TABLE IF EXISTS remote_config');
+}
+
+module.exports = { up, down };
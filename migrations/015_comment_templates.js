@@ -0,0 +1,63 @@
+// Bibliothèque centrale de modèles de commentaires, regroupés en jeux attribués à des rôles ou des clés
+
+async function up(client) {
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS comment_templates (
+            id SERIAL PRIMARY KEY,
+            name VARCHAR(100) NOT NULL,
+            body TEXT NOT NULL,
+            tags JSONB NOT NULL DEFAULT '[]',
+            active BOOLEAN NOT NULL DEFAULT true,
+            created_by VARCHAR(100),
+            created_at TIMESTAMP DEFAULT NOW(),
+            updated_at TIMESTAMP DEFAULT NOW()
+        )
+    `);
+
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS template_sets (
+            id SERIAL PRIMARY KEY,
+            name VARCHAR(100) NOT NULL UNIQUE,
+            description VARCHAR(255),
+            created_by VARCHAR(100),
+            created_at TIMESTAMP DEFAULT NOW(),
+            updated_at TIMESTAMP DEFAULT NOW()
+        )
+    `);
+
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS template_set_items (
+            set_id INTEGER NOT NULL REFERENCES template_sets (id) ON DELETE CASCADE,
+            template_id INTEGER NOT NULL REFERENCES comment_templates (id) ON DELETE CASCADE,
+            PRIMARY KEY (set_id, template_id)
+        )
+    `);
+
+    // Attribution d'un jeu : scope role (scope_id = rôle) ou key (scope_id = clé de licence)
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS template_set_assignments (
+            set_id INTEGER NOT NULL REFERENCES template_sets (id) ON DELETE CASCADE,
+            scope VARCHAR(10) NOT NULL,
+            scope_id VARCHAR(50) NOT NULL,
+            PRIMARY KEY (set_id, scope, scope_id),
+            CONSTRAINT template_assignment_scope_check CHECK (scope IN ('role', 'key'))
+        )
+    `);
+
+    await client.query('CREATE INDEX IF NOT EXISTS idx_template_assignments_scope ON template_set_assignments (scope, scope_id)');
+
+    // Modèle utilisé par chaque commentaire remonté (statistiques d'utilisation)
+    await client.query('ALTER TABLE comments ADD COLUMN IF NOT EXISTS template_id INTEGER REFERENCES comment_templates (id) ON DELETE SET NULL');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_comments_template ON comments (template_id) WHERE template_id IS NOT NULL');
+}
+
+async function down(client) {
+    await client.query('DROP INDEX IF EXISTS idx_comments_template');
+    await client.query('ALTER TABLE comments DROP COLUMN IF EXISTS template_id');
+    await client.query('DROP TABLE IF EXISTS template_set_assignments');
+    await client.query('DROP TABLE IF EXISTS template_set_items');
+    await client.query('DROP TABLE IF EXISTS template_sets');
+    await client.query('DROP TABLE IF EXISTS comment_templates');
+}
+
+module.exports = { up, down };
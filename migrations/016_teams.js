@@ -0,0 +1,62 @@
+// Équipes : clés, utilisateurs et invités rattachés à une équipe ; chaque admin ne gère que la sienne
+// (team_id NULL = hors équipe, visible du créateur seulement)
+
+const OWNED_TABLES = ['license_keys', 'users', 'guest_users'];
+
+async function up(client) {
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS teams (
+            id SERIAL PRIMARY KEY,
+            name VARCHAR(100) UNIQUE NOT NULL,
+            created_by VARCHAR(100),
+            created_at TIMESTAMP DEFAULT NOW()
+        )
+    `);
+
+    // Une équipe n'est supprimée que vide (vérifié par l'admin) : pas de ON DELETE
+    for (const table of OWNED_TABLES) {
+        await client.query(`ALTER TABLE ${table} ADD COLUMN IF NOT EXISTS team_id INTEGER REFERENCES teams (id)`);
+        await client.query(`CREATE INDEX IF NOT EXISTS idx_${table}_team ON ${table} (team_id)`);
+    }
+
+    // Journal d'audit : équipe de l'auteur de l'action (conservé si l'équipe disparaît)
+    await client.query('ALTER TABLE admin_audit_log ADD COLUMN IF NOT EXISTS team_id INTEGER REFERENCES teams (id) ON DELETE SET NULL');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_admin_audit_log_team ON admin_audit_log (team_id, id DESC)');
+
+    // Bases existantes : tout ce qui existe déjà forme une première équipe, pour que les admins
+    // actuels gardent la même vue
+    const existing = await client.query(`
+        SELECT EXISTS (SELECT 1 FROM license_keys)
+            OR EXISTS (SELECT 1 FROM users WHERE role <> 'creator')
+            OR EXISTS (SELECT 1 FROM guest_users) AS has_data
+    `);
+
+    if (existing.rows[0].has_data) {
+        const team = await client.query(
+            "INSERT INTO teams (name, created_by) VALUES ('Équipe principale', 'migration') ON CONFLICT (name) DO UPDATE SET name = EXCLUDED.name RETURNING id"
+        );
+        const teamId = team.rows[0].id;
+
+        await client.query('UPDATE license_keys SET team_id = $1 WHERE team_id IS NULL', [teamId]);
+        await client.query("UPDATE users SET team_id = $1 WHERE team_id IS NULL AND role <> 'creator'", [teamId]);
+        await client.query('UPDATE guest_users SET team_id = $1 WHERE team_id IS NULL', [teamId]);
+        await client.query(
+            "UPDATE admin_audit_log SET team_id = $1 WHERE team_id IS NULL AND actor_role IS DISTINCT FROM 'creator'",
+            [teamId]
+        );
+    }
+}
+
+async function down(client) {
+    await client.query('DROP INDEX IF EXISTS idx_admin_audit_log_team');
+    await client.query('ALTER TABLE admin_audit_log DROP COLUMN IF EXISTS team_id');
+
+    for (const table of OWNED_TABLES) {
+        await client.query(`DROP INDEX IF EXISTS idx_${table}_team`);
+        await client.query(`ALTER TABLE ${table} DROP COLUMN IF EXISTS team_id`);
+    }
+
+    await client.query('DROP TABLE IF EXISTS teams');
+}
+
+module.exports = { up, down };
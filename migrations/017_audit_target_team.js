@@ -0,0 +1,27 @@
+// Journal d'audit : l'équipe d'une entrée devient celle de la cible (clé, compte, équipe), et à défaut
+// celle de l'auteur, pour que les admins d'une équipe voient ce que le créateur y a fait.
+// Les entrées existantes du créateur (sans équipe) reprennent l'équipe actuelle de leur cible.
+
+const TARGET_TEAMS = {
+    key: 'SELECT team_id FROM license_keys WHERE license_key = a.target_id',
+    user: 'SELECT team_id FROM users WHERE username = a.target_id',
+    guest: 'SELECT team_id FROM guest_users WHERE username = a.target_id',
+    team: 'SELECT id FROM teams WHERE id::text = a.target_id'
+};
+
+async function up(client) {
+    for (const [targetType, query] of Object.entries(TARGET_TEAMS)) {
+        await client.query(`
+            UPDATE admin_audit_log a
+            SET team_id = (${query})
+            WHERE a.team_id IS NULL AND a.actor_role = 'creator' AND a.target_type = $1
+        `, [targetType]);
+    }
+}
+
+// Avant cette migration, une entrée du créateur n'avait jamais d'équipe
+async function down(client) {
+    await client.query("UPDATE admin_audit_log SET team_id = NULL WHERE actor_role = 'creator'");
+}
+
+module.exports = { up, down };
@@ -0,0 +1,167 @@
+// Migrations versionnées du schéma (dossier migrations/, table schema_migrations)
+const fs = require('fs');
+const path = require('path');
+const pool = require('./db');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const FILE_PATTERN = /^(\d+)_([\w-]+)\.js$/;
+
+// Identifiant arbitraire du verrou consultatif (une seule migration à la fois)
+const LOCK_ID = 827361;
+
+// Lire les fichiers NNN_nom.js triés par version
+function loadMigrations() {
+    return fs.readdirSync(MIGRATIONS_DIR)
+        .map(file => {
+            const match = file.match(FILE_PATTERN);
+            if (!match) return null;
+
+            const migration = require(path.join(MIGRATIONS_DIR, file));
+            if (typeof migration.up !== 'function' || typeof migration.down !== 'function') {
+                throw new Error(`Migration ${file} : up() et down() sont requis`);
+            }
+
+            return {
+                id: path.basename(file, '.js'),
+                version: parseInt(match[1], 10),
+                name: match[2],
+                up: migration.up,
+                down: migration.down
+            };
+        })
+        .filter(Boolean)
+        .sort((a, b) => a.version - b.version);
+}
+
+async function ensureMigrationsTable(client) {
+    await client.query(`
+        CREATE TABLE IF NOT EXISTS schema_migrations (
+            version INTEGER PRIMARY KEY,
+            name VARCHAR(255) NOT NULL,
+            applied_at TIMESTAMP DEFAULT NOW()
+        )
+    `);
+}
+
+async function getAppliedVersions(client) {
+    const result = await client.query('SELECT version FROM schema_migrations ORDER BY version');
+    return result.rows.map(row => row.version);
+}
+
+// État des migrations : appliquées et en attente
+async function getStatus() {
+    const client = await pool.connect();
+    try {
+        await ensureMigrationsTable(client);
+        const applied = await getAppliedVersions(client);
+
+        const migrations = loadMigrations().map(migration => ({
+            id: migration.id,
+            version: migration.version,
+            name: migration.name,
+            applied: applied.includes(migration.version)
+        }));
+
+        // Versions appliquées dont le fichier a disparu
+        const known = migrations.map(migration => migration.version);
+        const missing = applied.filter(version => !known.includes(version));
+
+        return {
+            migrations,
+            pending: migrations.filter(migration => !migration.applied),
+            missing
+        };
+    } finally {
+        client.release();
+    }
+}
+
+// Exécuter une étape dans sa propre transaction
+async function runStep(client, migration, direction) {
+    await client.query('BEGIN');
+    try {
+        await migration[direction](client);
+
+        if (direction === 'up') {
+            await client.query(
+                'INSERT INTO schema_migrations (version, name) VALUES ($1, $2)',
+                [migration.version, migration.name]
+            );
+        } else {
+            await client.query(
+                'DELETE FROM schema_migrations WHERE version = $1',
+                [migration.version]
+            );
+        }
+
+        await client.query('COMMIT');
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    }
+}
+
+async function withLock(fn) {
+    const client = await pool.connect();
+    try {
+        await client.query('SELECT pg_advisory_lock($1)', [LOCK_ID]);
+        try {
+            await ensureMigrationsTable(client);
+            return await fn(client);
+        } finally {
+            await client.query('SELECT pg_advisory_unlock($1)', [LOCK_ID]);
+        }
+    } finally {
+        client.release();
+    }
+}
+
+// Appliquer les migrations en attente (jusqu'à targetVersion si fournie)
+async function migrateUp(targetVersion = Infinity) {
+    return withLock(async (client) => {
+        const applied = await getAppliedVersions(client);
+        const pending = loadMigrations().filter(migration =>
+            !applied.includes(migration.version) && migration.version <= targetVersion
+        );
+
+        for (const migration of pending) {
+            console.log(`⬆️  ${migration.id}`);
+            await runStep(client, migration, 'up');
+        }
+
+        return pending.map(migration => migration.version);
+    });
+}
+
+// Annuler les N dernières migrations appliquées
+async function migrateDown(steps = 1) {
+    // slice(-0) ou slice(NaN) renverrait toutes les migrations appliquées
+    if (!Number.isInteger(steps) || steps < 1) {
+        throw new Error(`Nombre de migrations à annuler invalide : ${steps}`);
+    }
+
+    return withLock(async (client) => {
+        const applied = await getAppliedVersions(client);
+        const migrations = loadMigrations();
+        const toRevert = applied.slice(-steps).reverse();
+
+        for (const version of toRevert) {
+            const migration = migrations.find(m => m.version === version);
+            if (!migration) {
+                throw new Error(`Fichier introuvable pour la migration ${version}`);
+            }
+
+            console.log(`⬇️  ${migration.id}`);
+            await runStep(client, migration, 'down');
+        }
+
+        return toRevert;
+    });
+}
+
+module.exports = {
+    loadMigrations,
+    getStatus,
+    migrateUp,
+    migrateDown
+};
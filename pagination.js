@@ -0,0 +1,95 @@
+// Filtres SQL et pagination par curseur partagés par les listes de l'admin
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+// Conditions WHERE et paramètres numérotés ($1, $2...) construits au fil des filtres
+function createFilters() {
+    const params = [];
+    const conditions = [];
+
+    return {
+        params,
+
+        // Ajouter une valeur et retourner son paramètre
+        param(value) {
+            params.push(value);
+            return `$${params.length}`;
+        },
+
+        // Ajouter une condition : chaque "?" désigne la valeur donnée
+        add(sql, value) {
+            conditions.push(value === undefined ? sql : sql.replace(/\?/g, this.param(value)));
+        },
+
+        where() {
+            return conditions.length > 0 ? 'WHERE ' + conditions.join(' AND ') : '';
+        },
+
+        hasInvalidDate() {
+            return params.some(value => value instanceof Date && isNaN(value));
+        }
+    };
+}
+
+function parseLimit(value, defaultLimit = DEFAULT_LIMIT) {
+    return Math.min(Math.max(parseInt(value) || defaultLimit, 1), MAX_LIMIT);
+}
+
+// Tri autorisé : sort doit être une clé de sorts ({ nom: expression SQL non nulle })
+function parseSort({ sort, order }, sorts, defaultSort, defaultOrder = 'desc') {
+    const name = sort || defaultSort;
+    if (!Object.prototype.hasOwnProperty.call(sorts, name)) return null;
+
+    const direction = (order || defaultOrder).toLowerCase();
+    if (direction !== 'asc' && direction !== 'desc') return null;
+
+    return { name, expression: sorts[name], direction };
+}
+
+function encodeCursor(value) {
+    return Buffer.from(JSON.stringify(value)).toString('base64url');
+}
+
+// Curseur illisible = null (la requête doit alors être refusée)
+function decodeCursor(cursor) {
+    try {
+        const value = JSON.parse(Buffer.from(String(cursor), 'base64url').toString());
+        return value && typeof value === 'object' ? value : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+// Reprendre après la dernière ligne vue : (tri, id) strictement après le curseur { v, id }.
+// La valeur de tri est transmise en texte (lue via expression::text) pour garder la précision
+// des horodatages ; l'id départage les égalités.
+function addKeysetCondition(filters, sortSpec, idColumn, cursor) {
+    const operator = sortSpec.direction === 'asc' ? '>' : '<';
+    const value = filters.param(String(cursor.v));
+    const id = filters.param(cursor.id);
+
+    filters.add(`(${sortSpec.expression} ${operator} ${value} OR (${sortSpec.expression} = ${value} AND ${idColumn} ${operator} ${id}))`);
+}
+
+// Une ligne de plus que demandé = il reste une page
+function buildPage(rows, limit, cursorOf) {
+    const items = rows.slice(0, limit);
+    const hasMore = rows.length > limit;
+
+    return {
+        items,
+        nextCursor: hasMore ? cursorOf(items[items.length - 1]) : null
+    };
+}
+
+module.exports = {
+    DEFAULT_LIMIT,
+    MAX_LIMIT,
+    createFilters,
+    parseLimit,
+    parseSort,
+    encodeCursor,
+    decodeCursor,
+    addKeysetCondition,
+    buildPage
+};
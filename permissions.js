@@ -0,0 +1,103 @@
+// Modèle de permissions : ce que chaque rôle peut faire, vérifié côté serveur sur chaque route
+// (le panneau admin ne fait que masquer ce que le rôle ne peut pas faire)
+const PERMISSIONS = {
+    'keys:read': 'Voir les clés, leurs appareils et leurs statistiques',
+    'keys:create': 'Créer des clés (une à une ou en lot)',
+    'keys:update': 'Prolonger, renouveler, limiter, activer/désactiver ou changer la valeur d\'une clé',
+    'keys:delete': 'Supprimer des clés',
+    'keys:change-role': 'Changer le rôle d\'une clé (et de ses utilisateurs)',
+    'comments:read': 'Voir les commentaires remontés',
+    'comments:reset': 'Supprimer l\'historique des commentaires d\'une clé',
+    'logs:read': 'Voir les journaux d\'accès',
+    'analytics:read': 'Voir l\'activité des commentaires',
+    'live:read': 'Recevoir les événements en direct',
+    'audit:read': 'Voir le journal d\'audit',
+    'data:export': 'Exporter les données (CSV / JSON)',
+    'users:read': 'Voir les utilisateurs et invités',
+    'users:manage-vas': 'Créer, modifier et supprimer des VAs',
+    'users:manage-admins': 'Créer, promouvoir, rétrograder et supprimer des admins',
+    'guests:manage': 'Créer, migrer et supprimer des invités',
+    'teams:read': 'Voir son équipe',
+    'teams:manage': 'Créer, renommer et supprimer des équipes, y déplacer clés et comptes',
+    'remote-config:read': 'Voir la configuration à distance',
+    'remote-config:manage-keys': 'Modifier la configuration à distance d\'une clé',
+    'remote-config:manage-global': 'Modifier la configuration à distance globale et par rôle',
+    'templates:manage': 'Gérer les modèles de commentaires',
+    'webhooks:manage': 'Gérer les webhooks',
+    'security:manage': 'Gérer les IP bloquées et les verrouillages',
+    'signing-keys:manage': 'Gérer les clés de signature des licences',
+    'stats:read-own': 'Voir ses propres statistiques'
+};
+
+// Un admin gère les clés, VAs et invités de son équipe ; le créateur a tous les droits.
+const ROLE_PERMISSIONS = {
+    creator: Object.keys(PERMISSIONS).filter(permission => permission !== 'stats:read-own'),
+    admin: [
+        'keys:read',
+        'keys:create',
+        'keys:update',
+        'keys:delete',
+        'keys:change-role',
+        'comments:read',
+        'comments:reset',
+        'logs:read',
+        'analytics:read',
+        'live:read',
+        'audit:read',
+        'data:export',
+        'users:read',
+        'users:manage-vas',
+        'guests:manage',
+        'teams:read',
+        'remote-config:read',
+        'remote-config:manage-keys'
+    ],
+    va: ['stats:read-own'],
+    guest: []
+};
+
+// Permission nécessaire pour gérer un compte de ce rôle (le compte créateur n'est jamais géré)
+const ACCOUNT_PERMISSIONS = {
+    va: 'users:manage-vas',
+    admin: 'users:manage-admins'
+};
+
+function hasPermission(role, permission) {
+    return (ROLE_PERMISSIONS[role] || []).includes(permission);
+}
+
+function getPermissions(role) {
+    return [...(ROLE_PERMISSIONS[role] || [])];
+}
+
+// Créer, modifier ou supprimer un compte de ce rôle
+function canManageAccount(role, accountRole) {
+    const permission = ACCOUNT_PERMISSIONS[accountRole];
+    return permission !== undefined && hasPermission(role, permission);
+}
+
+// Middleware : à placer après l'authentification (req.userRole)
+function requirePermission(permission) {
+    if (!PERMISSIONS[permission]) {
+        throw new Error(`Permission inconnue : ${permission}`);
+    }
+
+    return (req, res, next) => {
+        if (hasPermission(req.userRole, permission)) return next();
+
+        return res.status(403).json({
+            success: false,
+            message: `Action non autorisée pour votre rôle (${permission})`
+        });
+    };
+}
+
+module.exports = {
+    PERMISSIONS,
+    ROLE_PERMISSIONS,
+    ACCOUNT_PERMISSIONS,
+    hasPermission,
+    getPermissions,
+    canManageAccount,
+    requirePermission
+};
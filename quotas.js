@@ -0,0 +1,56 @@
+// Quotas de commentaires par clé sur des fenêtres glissantes (1 h et 24 h)
+const pool = require('./db');
+const config = require('./config');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Limites effectives d'une clé : valeur de la clé, sinon valeur globale (0 = illimité)
+function resolveQuotas(keyData) {
+    return {
+        hourly: keyData.hourly_quota ?? config.commentQuota.hourly,
+        daily: keyData.daily_quota ?? config.commentQuota.daily
+    };
+}
+
+function windowUsage(limit, used, oldest, windowMs) {
+    return {
+        limit: limit > 0 ? limit : null,
+        used,
+        remaining: limit > 0 ? Math.max(0, limit - used) : null,
+        // Une place se libère quand le plus ancien commentaire sort de la fenêtre
+        resetsAt: limit > 0 && used >= limit && oldest ? new Date(new Date(oldest).getTime() + windowMs) : null
+    };
+}
+
+// Consommation actuelle d'une clé (commentaires publiés, anciens et nouveaux formats)
+async function getQuotaUsage(keyData, now = new Date()) {
+    const limits = resolveQuotas(keyData);
+    const hourStart = new Date(now.getTime() - HOUR_MS);
+    const dayStart = new Date(now.getTime() - DAY_MS);
+
+    const result = await pool.query(`
+        SELECT
+            COUNT(*) AS daily_used,
+            SUM(CASE WHEN timestamp > $3 THEN 1 ELSE 0 END) AS hourly_used,
+            MIN(timestamp) AS daily_oldest,
+            MIN(CASE WHEN timestamp > $3 THEN timestamp END) AS hourly_oldest
+        FROM access_logs
+        WHERE license_key = $1 AND action = 'comment_posted' AND timestamp > $2
+    `, [keyData.license_key, dayStart, hourStart]);
+
+    const row = result.rows[0];
+    const hourly = windowUsage(limits.hourly, parseInt(row.hourly_used) || 0, row.hourly_oldest, HOUR_MS);
+    const daily = windowUsage(limits.daily, parseInt(row.daily_used) || 0, row.daily_oldest, DAY_MS);
+
+    return {
+        hourly,
+        daily,
+        exceeded: hourly.remaining === 0 || daily.remaining === 0
+    };
+}
+
+module.exports = {
+    resolveQuotas,
+    getQuotaUsage
+};
@@ -0,0 +1,157 @@
+// Protection contre les abus : limitation de débit, verrouillage progressif, liste de blocage IP
+// L'état est stocké dans PostgreSQL pour survivre aux redémarrages
+const pool = require('./db');
+const config = require('./config');
+
+// Routes appelées par l'extension (les autres routes hors /api/admin sont publiques)
+const EXTENSION_ROUTES = ['/verify', '/heartbeat', '/log-comment', '/templates'];
+
+// Groupe de limites d'une route (chemin relatif à /api)
+function getRouteGroup(path) {
+    if (path.startsWith('/admin/')) return 'admin';
+    if (EXTENSION_ROUTES.includes(path)) return 'extension';
+    return 'public';
+}
+
+async function isBlocked(ipAddress) {
+    const result = await pool.query(
+        'SELECT 1 FROM ip_blocklist WHERE ip_address = $1 AND (expires_at IS NULL OR expires_at > $2)',
+        [ipAddress, new Date()]
+    );
+    return result.rows.length > 0;
+}
+
+// Incrémenter le compteur de la fenêtre courante et retourner le nombre de requêtes
+async function hit(bucket, windowSeconds) {
+    const now = new Date();
+    const windowStart = new Date(now.getTime() - windowSeconds * 1000);
+
+    const result = await pool.query(`
+        INSERT INTO rate_limits (bucket, hits, window_start)
+        VALUES ($1, 1, $2)
+        ON CONFLICT (bucket) DO UPDATE SET
+            hits = CASE WHEN rate_limits.window_start <= $3 THEN 1 ELSE rate_limits.hits + 1 END,
+            window_start = CASE WHEN rate_limits.window_start <= $3 THEN $2 ELSE rate_limits.window_start END
+        RETURNING hits, window_start
+    `, [bucket, now, windowStart]);
+
+    return result.rows[0];
+}
+
+// Middleware monté sur /api : liste de blocage puis limite du groupe de la route
+async function rateLimiter(req, res, next) {
+    const group = getRouteGroup(req.path);
+    const max = config.rateLimits[group];
+    const windowSeconds = config.rateLimits.windowSeconds;
+
+    try {
+        if (await isBlocked(req.ip)) {
+            return res.status(403).json({
+                success: false,
+                status: 'blocked',
+                message: 'Adresse IP bloquée'
+            });
+        }
+
+        if (max > 0) {
+            const { hits, window_start } = await hit(`${group}:${req.ip}`, windowSeconds);
+
+            if (hits > max) {
+                const resetAt = new Date(window_start).getTime() + windowSeconds * 1000;
+                const retryAfter = Math.max(1, Math.ceil((resetAt - Date.now()) / 1000));
+
+                res.set('Retry-After', String(retryAfter));
+                return res.status(429).json({
+                    success: false,
+                    status: 'rate_limited',
+                    message: 'Trop de requêtes, réessayez plus tard',
+                    retryAfter
+                });
+            }
+        }
+    } catch (error) {
+        // En cas de panne de la base, ne pas bloquer tout le service
+        console.error('Erreur rate limit:', error);
+    }
+
+    next();
+}
+
+// Paramètres "$1, $2, ..." pour une liste de portées
+function placeholders(values, offset = 0) {
+    return values.map((_, index) => `$${index + offset + 1}`).join(', ');
+}
+
+// Secondes restantes de verrouillage (0 si aucune portée n'est verrouillée)
+async function getLockout(scopes) {
+    const result = await pool.query(
+        `SELECT locked_until FROM auth_failures WHERE locked_until > $1 AND scope IN (${placeholders(scopes, 1)})`,
+        [new Date(), ...scopes]
+    );
+
+    return result.rows.reduce((max, row) =>
+        Math.max(max, Math.ceil((new Date(row.locked_until).getTime() - Date.now()) / 1000)), 0);
+}
+
+// Enregistrer un échec ; au-delà de maxFailures, verrouiller (durée doublée à chaque nouvel échec)
+async function recordFailure(scopes, maxFailures) {
+    const { baseSeconds, maxSeconds, resetSeconds } = config.lockout;
+    const now = new Date();
+    let lockedFor = 0;
+
+    for (const scope of scopes) {
+        const result = await pool.query(
+            'SELECT failures, last_failure FROM auth_failures WHERE scope = $1',
+            [scope]
+        );
+
+        const previous = result.rows[0];
+        const isStale = !previous || new Date(previous.last_failure).getTime() < now.getTime() - resetSeconds * 1000;
+        const failures = (isStale ? 0 : previous.failures) + 1;
+
+        let lockedUntil = null;
+        if (failures >= maxFailures) {
+            const seconds = Math.min(baseSeconds * Math.pow(2, failures - maxFailures), maxSeconds);
+            lockedUntil = new Date(now.getTime() + seconds * 1000);
+            lockedFor = Math.max(lockedFor, seconds);
+        }
+
+        await pool.query(`
+            INSERT INTO auth_failures (scope, failures, last_failure, locked_until)
+            VALUES ($1, $2, $3, $4)
+            ON CONFLICT (scope) DO UPDATE SET failures = $2, last_failure = $3, locked_until = $4
+        `, [scope, failures, now, lockedUntil]);
+    }
+
+    return lockedFor;
+}
+
+async function clearFailures(scopes) {
+    await pool.query(`DELETE FROM auth_failures WHERE scope IN (${placeholders(scopes)})`, scopes);
+}
+
+// Nettoyer les compteurs expirés, les échecs oubliés et les blocages terminés
+async function pruneRateLimits() {
+    const now = Date.now();
+
+    await pool.query(
+        'DELETE FROM rate_limits WHERE window_start < $1',
+        [new Date(now - config.rateLimits.windowSeconds * 1000)]
+    );
+    await pool.query(
+        'DELETE FROM auth_failures WHERE last_failure < $1 AND (locked_until IS NULL OR locked_until < $2)',
+        [new Date(now - config.lockout.resetSeconds * 1000), new Date(now)]
+    );
+    await pool.query(
+        'DELETE FROM ip_blocklist WHERE expires_at < $1',
+        [new Date(now)]
+    );
+}
+
+module.exports = {
+    rateLimiter,
+    getLockout,
+    recordFailure,
+    clearFailures,
+    pruneRateLimits
+};
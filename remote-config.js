@@ -0,0 +1,168 @@
+// Configuration à distance de l'extension : valeurs par défaut, surcharges globale > rôle > clé
+const crypto = require('crypto');
+const pool = require('./db');
+
+// Réglages connus : type, bornes et valeur par défaut (utilisée sans aucune surcharge)
+const SETTINGS = {
+    enabled: {
+        type: 'boolean',
+        default: true,
+        description: 'Interrupteur général : false arrête l\'extension'
+    },
+    disabledMessage: {
+        type: 'string',
+        maxLength: 500,
+        default: '',
+        description: 'Message affiché quand l\'extension est arrêtée'
+    },
+    minDelaySeconds: {
+        type: 'integer',
+        min: 0,
+        max: 3600,
+        default: 30,
+        description: 'Délai minimum entre deux commentaires (secondes)'
+    },
+    maxDelaySeconds: {
+        type: 'integer',
+        min: 0,
+        max: 3600,
+        default: 90,
+        description: 'Délai maximum entre deux commentaires (secondes)'
+    },
+    typingDelayMs: {
+        type: 'integer',
+        min: 0,
+        max: 2000,
+        default: 80,
+        description: 'Délai de frappe par caractère (millisecondes)'
+    },
+    maxCommentsPerSession: {
+        type: 'integer',
+        min: 0,
+        max: 10000,
+        default: 0,
+        description: 'Commentaires maximum par session (0 = illimité)'
+    },
+    features: {
+        type: 'flags',
+        default: {},
+        description: 'Fonctionnalités activées { nom: true/false }, fusionnées niveau par niveau'
+    }
+};
+
+const SCOPES = ['global', 'role', 'key'];
+const ROLES = ['va', 'admin'];
+const FEATURE_NAME = /^[A-Za-z0-9_]{1,50}$/;
+
+function isValidScope(scope) {
+    return SCOPES.includes(scope);
+}
+
+function validateValue(name, value) {
+    const setting = SETTINGS[name];
+
+    switch (setting.type) {
+        case 'boolean':
+            return typeof value === 'boolean' ? null : `${name} : true ou false attendu`;
+        case 'string':
+            return typeof value === 'string' && value.length <= setting.maxLength
+                ? null
+                : `${name} : texte de ${setting.maxLength} caractères maximum attendu`;
+        case 'integer':
+            return Number.isInteger(value) && value >= setting.min && value <= setting.max
+                ? null
+                : `${name} : entier entre ${setting.min} et ${setting.max} attendu`;
+        case 'flags':
+            if (!value || typeof value !== 'object' || Array.isArray(value)) {
+                return `${name} : objet { nom: true/false } attendu`;
+            }
+            for (const [flag, enabled] of Object.entries(value)) {
+                if (!FEATURE_NAME.test(flag) || typeof enabled !== 'boolean') {
+                    return `${name}.${flag} : nom (lettres, chiffres, _) et valeur true/false attendus`;
+                }
+            }
+            return null;
+        default:
+            return `${name} : type inconnu`;
+    }
+}
+
+// Surcharges d'un niveau : { settings } ou { error } (objet vide = aucune surcharge)
+function validateSettings(input) {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        return { error: 'Réglages invalides (objet JSON attendu)' };
+    }
+
+    for (const [name, value] of Object.entries(input)) {
+        if (!Object.prototype.hasOwnProperty.call(SETTINGS, name)) {
+            return { error: `Réglage inconnu : ${name} (${Object.keys(SETTINGS).join(', ')})` };
+        }
+
+        const error = validateValue(name, value);
+        if (error) return { error };
+    }
+
+    return { settings: input };
+}
+
+// Fusionner les niveaux dans l'ordre (le dernier l'emporte ; features fusionné clé par clé).
+// Les réglages sont écrits dans l'ordre de SETTINGS pour que la version soit stable.
+function resolveConfig(layers) {
+    const resolved = {};
+
+    for (const [name, setting] of Object.entries(SETTINGS)) {
+        let value = setting.type === 'flags' ? { ...setting.default } : setting.default;
+
+        for (const layer of layers) {
+            if (!layer || layer[name] === undefined) continue;
+            value = setting.type === 'flags' ? { ...value, ...layer[name] } : layer[name];
+        }
+
+        if (setting.type === 'flags') {
+            value = Object.fromEntries(Object.keys(value).sort().map(flag => [flag, value[flag]]));
+        }
+
+        resolved[name] = value;
+    }
+
+    // Surcharges à des niveaux différents : le maximum ne descend jamais sous le minimum
+    if (resolved.maxDelaySeconds < resolved.minDelaySeconds) {
+        resolved.maxDelaySeconds = resolved.minDelaySeconds;
+    }
+
+    return resolved;
+}
+
+// Empreinte courte de la configuration : l'extension la renvoie pour savoir si quelque chose a changé
+function configVersion(resolved) {
+    return crypto.createHash('sha256').update(JSON.stringify(resolved)).digest('hex').slice(0, 16);
+}
+
+// Configuration effective d'une clé : { config, version }
+async function getEffectiveConfig(keyData) {
+    const result = await pool.query(`
+        SELECT scope, settings FROM remote_config
+        WHERE scope = 'global'
+            OR (scope = 'role' AND scope_id = $1)
+            OR (scope = 'key' AND scope_id = $2)
+    `, [keyData.role || 'va', keyData.license_key]);
+
+    const byScope = {};
+    result.rows.forEach(row => {
+        byScope[row.scope] = row.settings;
+    });
+
+    const resolved = resolveConfig(SCOPES.map(scope => byScope[scope]));
+    return { config: resolved, version: configVersion(resolved) };
+}
+
+module.exports = {
+    SETTINGS,
+    SCOPES,
+    ROLES,
+    isValidScope,
+    validateSettings,
+    resolveConfig,
+    configVersion,
+    getEffectiveConfig
+};
@@ -1,135 +1,171 @@
+const crypto = require('crypto');
+const net = require('net');
 const express = require('express');
 const cors = require('cors');
-const { Pool } = require('pg');
+const config = require('./config');
+const pool = require('./db');
+const {
+    PLANS,
+    isValidPlan,
+    isExpired,
+    daysRemaining,
+    extendExpiration,
+    resolveKeyOptions,
+    generateLicenseKey,
+    parseLicenseKey
+} = require('./licenses');
+const {
+    getActiveSigningKey,
+    rotateSigningKey,
+    getPublicJwks,
+    signLicenseToken
+} = require('./license-tokens');
+const {
+    MAX_COMMENT_LENGTH,
+    MAX_URL_LENGTH,
+    isValidCommentStatus,
+    parseTweetUrl,
+    normalizeTweetId,
+    parsePostedAt,
+    normalizeAccount,
+    canChangeStatus
+} = require('./comments');
+const { getQuotaUsage } = require('./quotas');
+const { MAX_KEYS: MAX_ANALYTICS_KEYS, parseAnalyticsQuery, getCommentAnalytics } = require('./analytics');
+const { createFilters, parseLimit, buildPage } = require('./pagination');
+const { listKeys, getKeyTotals, getUsersByKey, getIpsByKey } = require('./key-listing');
+const { listLogs } = require('./log-listing');
+const { listComments } = require('./comment-listing');
+const { MAX_LIMIT } = require('./pagination');
+const { EXPORT_FORMATS, streamExport } = require('./data-export');
+const { MAX_BULK_ROWS, planBulkKeys } = require('./bulk-keys');
+const { getStatus: getMigrationStatus } = require('./migrator');
+const {
+    WEBHOOK_EVENTS,
+    TEST_EVENT,
+    invalidateEndpoints,
+    hasSubscribers,
+    parseWebhookUrl,
+    parseEvents,
+    generateSecret,
+    emitEvent,
+    processDeliveries,
+    retryDelivery,
+    pruneDeliveries,
+    listDeliveries
+} = require('./webhooks');
+const { openStream, publish: publishLive, hasListeners: hasLiveListeners } = require('./live-events');
+const {
+    SETTINGS: REMOTE_SETTINGS,
+    SCOPES: REMOTE_CONFIG_SCOPES,
+    ROLES: REMOTE_CONFIG_ROLES,
+    isValidScope,
+    validateSettings,
+    resolveConfig,
+    getEffectiveConfig
+} = require('./remote-config');
+const {
+    validateTemplate,
+    validateTemplateSet,
+    getTemplatesForKey,
+    listTemplates,
+    listTemplateSets,
+    replaceSetContents
+} = require('./templates');
+const {
+    validateTeamName,
+    addTeamFilter,
+    keysOutsideTeam,
+    getKeyTeam,
+    parseRequestedTeam,
+    resolveTeamForCreation,
+    listTeams
+} = require('./teams');
+const {
+    ACCOUNT_PERMISSIONS,
+    hasPermission,
+    getPermissions,
+    canManageAccount,
+    requirePermission
+} = require('./permissions');
+const {
+    rateLimiter,
+    getLockout,
+    recordFailure,
+    clearFailures,
+    pruneRateLimits
+} = require('./rate-limit');
+const {
+    hashPassword,
+    isPasswordHash,
+    verifyPassword,
+    createAccessToken,
+    verifyAccessToken,
+    generateToken,
+    hashToken,
+    getBearerToken
+} = require('./auth');
 
 const app = express();
-const PORT = process.env.PORT || 3000;
+const PORT = config.port;
 
 // Middleware
+app.set('trust proxy', config.trustProxy);
 app.use(cors());
 app.use(express.json());
 app.use(express.static('public'));
+app.use('/api', rateLimiter);
+app.use('/.well-known', rateLimiter);
 
-// Configuration PostgreSQL
-const pool = new Pool({
-    connectionString: process.env.DATABASE_URL,
-    ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
-});
+// Jeton d'initialisation en mémoire (null quand le créateur existe)
+let setupTokenHash = null;
 
-// Initialiser la base de données
-async function initDatabase() {
-    const client = await pool.connect();
+// Créer le compte créateur au premier démarrage
+async function bootstrapCreator() {
     try {
-        // Table des clés de licence
-        await client.query(`
-            CREATE TABLE IF NOT EXISTS license_keys (
-                license_key VARCHAR(50) PRIMARY KEY,
-                owner VARCHAR(255) NOT NULL,
-                active BOOLEAN DEFAULT true,
-                role VARCHAR(20) DEFAULT 'va',
-                created_at TIMESTAMP DEFAULT NOW(),
-                last_used TIMESTAMP,
-                last_heartbeat TIMESTAMP,
-                last_ip VARCHAR(45),
-                CONSTRAINT key_role_check CHECK (role IN ('admin', 'va'))
-            )
-        `);
+        const existing = await pool.query(
+            'SELECT username, password FROM users WHERE role = $1',
+            ['creator']
+        );
 
-        // Ajouter la colonne role si elle n'existe pas
-        try {
-            await client.query(`
-                ALTER TABLE license_keys
-                ADD COLUMN role VARCHAR(20) DEFAULT 'va'
-            `);
-            console.log('✅ Colonne role ajoutée aux clés');
-        } catch (error) {
-            if (error.code !== '42701') {
-                console.error('⚠️ Erreur ajout colonne role:', error.message);
+        if (existing.rows.length > 0) {
+            setupTokenHash = null;
+
+            // Bases initialisées avec l'ancien mot de passe par défaut (creator123)
+            const creator = existing.rows[0];
+            const { valid } = await verifyPassword('creator123', creator.password);
+            if (valid && config.creatorPassword) {
+                await pool.query(
+                    'UPDATE users SET password = $2 WHERE username = $1',
+                    [creator.username, await hashPassword(config.creatorPassword)]
+                );
+                console.log('✅ Mot de passe par défaut du créateur remplacé par CREATOR_PASSWORD');
+            } else if (valid) {
+                console.warn('⚠️ Le compte créateur utilise encore le mot de passe par défaut : définissez CREATOR_PASSWORD pour le remplacer');
             }
+            return;
         }
 
-        // Table des logs
-        await client.query(`
-            CREATE TABLE IF NOT EXISTS access_logs (
-                id SERIAL PRIMARY KEY,
-                license_key VARCHAR(50) NOT NULL,
-                action VARCHAR(50) NOT NULL,
-                status VARCHAR(50) NOT NULL,
-                ip_address VARCHAR(45),
-                timestamp TIMESTAMP DEFAULT NOW()
-            )
-        `);
-
-        // Ajouter la colonne ip_address si elle n'existe pas (migration compatible PostgreSQL)
-        try {
-            await client.query(`
-                ALTER TABLE access_logs
-                ADD COLUMN ip_address VARCHAR(45)
-            `);
-            console.log('✅ Colonne ip_address ajoutée');
-        } catch (error) {
-            // La colonne existe déjà, c'est normal
-            if (error.code !== '42701') { // 42701 = duplicate_column
-                console.error('⚠️ Erreur migration ip_address:', error.message);
-            }
+        // Mot de passe fourni par l'environnement
+        if (config.creatorPassword) {
+            await pool.query(
+                'INSERT INTO users (username, password, role) VALUES ($1, $2, $3) ON CONFLICT (username) DO NOTHING',
+                [config.creatorUsername, await hashPassword(config.creatorPassword), 'creator']
+            );
+            console.log(`✅ Compte créateur "${config.creatorUsername}" créé depuis CREATOR_PASSWORD`);
+            return;
         }
 
-        // Table des IPs utilisées par clé
-        await client.query(`
-            CREATE TABLE IF NOT EXISTS key_ips (
-                id SERIAL PRIMARY KEY,
-                license_key VARCHAR(50) NOT NULL,
-                ip_address VARCHAR(45) NOT NULL,
-                first_seen TIMESTAMP DEFAULT NOW(),
-                last_seen TIMESTAMP DEFAULT NOW(),
-                UNIQUE(license_key, ip_address)
-            )
-        `);
-
-        // Table des utilisateurs avec rôles
-        await client.query(`
-            CREATE TABLE IF NOT EXISTS users (
-                id SERIAL PRIMARY KEY,
-                username VARCHAR(100) UNIQUE NOT NULL,
-                password VARCHAR(255) NOT NULL,
-                role VARCHAR(20) NOT NULL DEFAULT 'va',
-                license_key VARCHAR(50),
-                created_at TIMESTAMP DEFAULT NOW(),
-                created_by VARCHAR(50) DEFAULT 'admin',
-                last_login TIMESTAMP,
-                CONSTRAINT role_check CHECK (role IN ('creator', 'admin', 'va'))
-            )
-        `);
-
-        // Table des utilisateurs invités (garder pour compatibilité)
-        await client.query(`
-            CREATE TABLE IF NOT EXISTS guest_users (
-                id SERIAL PRIMARY KEY,
-                username VARCHAR(100) UNIQUE NOT NULL,
-                password VARCHAR(255) NOT NULL,
-                created_at TIMESTAMP DEFAULT NOW(),
-                created_by VARCHAR(50) DEFAULT 'admin',
-                last_login TIMESTAMP
-            )
-        `);
+        // Sinon : jeton d'initialisation à usage unique, affiché une seule fois
+        const setupToken = config.setupToken || generateToken(18);
+        setupTokenHash = hashToken(setupToken);
 
-        // Créer le compte CRÉATEUR s'il n'existe pas
-        try {
-            await client.query(`
-                INSERT INTO users (username, password, role)
-                VALUES ('creator', 'creator123', 'creator')
-                ON CONFLICT (username) DO NOTHING
-            `);
-            console.log('✅ Compte créateur initialisé (username: creator, password: creator123)');
-        } catch (error) {
-            console.log('⚠️ Compte créateur déjà existant');
+        console.log('🛠️ Aucun compte créateur : ouvrez /admin.html pour l\'initialiser');
+        if (!config.setupToken) {
+            console.log(`🔑 Jeton d'initialisation (usage unique) : ${setupToken}`);
         }
-
-        console.log('✅ Base de données initialisée');
     } catch (error) {
-        console.error('❌ Erreur initialisation BDD:', error);
-    } finally {
-        client.release();
+        console.error('❌ Erreur initialisation créateur:', error);
     }
 }
 
@@ -145,54 +181,282 @@ async function logAccess(licenseKey, action, status, ipAddress = null) {
     }
 }
 
-// Enregistrer ou mettre à jour l'IP d'une clé
+// Équipe d'une cible encore présente en base (les suppressions passent teamId explicitement)
+const AUDIT_TARGET_TEAM_QUERIES = {
+    key: 'SELECT team_id FROM license_keys WHERE license_key = $1',
+    user: 'SELECT team_id FROM users WHERE username = $1',
+    guest: 'SELECT team_id FROM guest_users WHERE username = $1',
+    team: 'SELECT id AS team_id FROM teams WHERE id::text = $1'
+};
+
+async function findAuditTargetTeam(targetType, targetId) {
+    const query = AUDIT_TARGET_TEAM_QUERIES[targetType];
+    if (!query || targetId === null) return undefined;
+
+    const result = await pool.query(query, [String(targetId)]);
+    return result.rows.length > 0 ? result.rows[0].team_id : undefined;
+}
+
+// Journal d'audit admin : qui a fait quoi, sur quelle cible (jamais de mot de passe).
+// Équipe de l'entrée : celle de la cible (teamId, sinon lue en base), à défaut celle de l'auteur,
+// pour que les admins d'une équipe voient aussi ce que le créateur y fait.
+async function recordAudit(req, action, { targetType = null, targetId = null, before = null, after = null, teamId } = {}) {
+    try {
+        const targetTeamId = teamId !== undefined ? teamId : await findAuditTargetTeam(targetType, targetId);
+
+        const result = await pool.query(`
+            INSERT INTO admin_audit_log
+                (actor_username, actor_role, action, target_type, target_id, before_value, after_value, ip_address, user_agent, team_id)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+            RETURNING *
+        `, [
+            req.username,
+            req.userRole || null,
+            action,
+            targetType,
+            targetId === null ? null : String(targetId),
+            before === null ? null : JSON.stringify(before),
+            after === null ? null : JSON.stringify(after),
+            req.ip,
+            req.headers['user-agent'] || null,
+            targetTeamId !== undefined ? targetTeamId : (req.teamId ?? null)
+        ]);
+
+        publishLive('audit', result.rows[0], { teamId: result.rows[0].team_id });
+    } catch (error) {
+        console.error('Erreur audit:', error);
+    }
+}
+
+// Enregistrer ou mettre à jour l'IP d'une clé (webhook key.new_ip à la première apparition)
 async function trackIP(licenseKey, ipAddress) {
     try {
-        await pool.query(`
+        const result = await pool.query(`
             INSERT INTO key_ips (license_key, ip_address, first_seen, last_seen)
             VALUES ($1, $2, NOW(), NOW())
             ON CONFLICT (license_key, ip_address)
             DO UPDATE SET last_seen = NOW()
+            RETURNING (xmax = 0) AS inserted
         `, [licenseKey, ipAddress]);
+
+        if (result.rows[0].inserted) {
+            await emitEvent('key.new_ip', { licenseKey, ipAddress });
+        }
     } catch (error) {
         console.error('Erreur track IP:', error);
     }
 }
 
+// Ligne de la clé, en suivant l'ancienne valeur d'une clé tournée pendant sa période de grâce
+// (keyData.license_key est alors la nouvelle valeur) ; null si la clé est inconnue
+async function findLicenseKey(licenseKey) {
+    const result = await pool.query(
+        'SELECT * FROM license_keys WHERE license_key = $1',
+        [licenseKey]
+    );
+
+    if (result.rows.length > 0) {
+        return result.rows[0];
+    }
+
+    const alias = await pool.query(`
+        SELECT k.* FROM key_aliases a
+        JOIN license_keys k ON k.license_key = a.license_key
+        WHERE a.old_key = $1 AND a.expires_at > $2
+    `, [licenseKey, new Date()]);
+
+    return alias.rows[0] || null;
+}
+
+// Charger une clé et vérifier qu'elle est utilisable (existe, active, non expirée)
+async function checkLicense(licenseKey) {
+    const keyData = await findLicenseKey(licenseKey);
+
+    if (!keyData) {
+        return { ok: false, status: 'invalid_key', message: 'Clé de licence invalide' };
+    }
+
+    if (!keyData.active) {
+        return { ok: false, status: 'inactive', message: 'Clé de licence désactivée', keyData };
+    }
+
+    if (isExpired(keyData.expires_at)) {
+        return { ok: false, status: 'expired', message: 'Clé de licence expirée', keyData };
+    }
+
+    return { ok: true, status: 'success', keyData };
+}
+
+// Informations d'abonnement renvoyées à l'extension et au panneau admin
+function licenseInfo(keyData) {
+    return {
+        plan: keyData.plan,
+        expiresAt: keyData.expires_at,
+        daysRemaining: daysRemaining(keyData.expires_at),
+        maxDevices: keyData.max_devices,
+        maxConcurrent: keyData.max_concurrent
+    };
+}
+
+// Limite de la fenêtre "en ligne" (même règle que detailed-stats)
+function onlineSince() {
+    return new Date(Date.now() - config.onlineWindowSeconds * 1000);
+}
+
+// Lier l'appareil à la clé en respectant les limites d'appareils liés et simultanés
+async function bindDevice(keyData, deviceId, ipAddress) {
+    if (!deviceId) {
+        return config.requireDeviceId
+            ? { ok: false, status: 'device_required', message: 'Identifiant d\'appareil manquant' }
+            : { ok: true };
+    }
+
+    if (typeof deviceId !== 'string' || deviceId.length > 128) {
+        return { ok: false, status: 'invalid_device', message: 'Identifiant d\'appareil invalide' };
+    }
+
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+
+        // Verrouiller la clé pour éviter deux liaisons simultanées au-delà de la limite
+        await client.query(
+            'SELECT license_key FROM license_keys WHERE license_key = $1 FOR UPDATE',
+            [keyData.license_key]
+        );
+
+        const devicesResult = await client.query(
+            'SELECT device_id, last_seen FROM key_devices WHERE license_key = $1',
+            [keyData.license_key]
+        );
+
+        const devices = devicesResult.rows;
+        const isBound = devices.some(device => device.device_id === deviceId);
+
+        if (!isBound && devices.length >= keyData.max_devices) {
+            await client.query('ROLLBACK');
+            return {
+                ok: false,
+                status: 'device_limit',
+                message: `Nombre maximum d'appareils atteint (${keyData.max_devices})`
+            };
+        }
+
+        const since = onlineSince();
+        const otherOnline = devices.filter(device =>
+            device.device_id !== deviceId && new Date(device.last_seen) > since
+        ).length;
+
+        if (otherOnline >= keyData.max_concurrent) {
+            await client.query('ROLLBACK');
+            return {
+                ok: false,
+                status: 'concurrent_limit',
+                message: `Clé déjà utilisée sur ${otherOnline} autre(s) appareil(s) en ce moment`
+            };
+        }
+
+        await client.query(`
+            INSERT INTO key_devices (license_key, device_id, first_seen, last_seen, last_ip)
+            VALUES ($1, $2, NOW(), NOW(), $3)
+            ON CONFLICT (license_key, device_id)
+            DO UPDATE SET last_seen = NOW(), last_ip = $3
+        `, [keyData.license_key, deviceId, ipAddress]);
+
+        await client.query('COMMIT');
+
+        if (!isBound) {
+            console.log(`📱 Nouvel appareil lié à ${keyData.license_key} (${devices.length + 1}/${keyData.max_devices})`);
+        }
+
+        return { ok: true };
+    } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+    } finally {
+        client.release();
+    }
+}
+
 // ===== ROUTES API =====
 
 // Vérifier une clé de licence
 app.post('/api/verify', async (req, res) => {
-    const { licenseKey } = req.body;
+    const { deviceId } = req.body;
+    const ipAddress = req.ip;
 
-    if (!licenseKey) {
+    if (!req.body.licenseKey) {
         return res.status(400).json({
             valid: false,
             message: 'Clé de licence manquante'
         });
     }
 
+    // Format et caractère de contrôle vérifiés avant toute requête en base
+    const parsedKey = parseLicenseKey(req.body.licenseKey);
+    if (parsedKey.error) {
+        return res.status(400).json({
+            valid: false,
+            status: 'malformed_key',
+            message: parsedKey.error
+        });
+    }
+
+    let licenseKey = parsedKey.key;
+
+    // Verrouillage progressif des IP qui essaient des clés au hasard
+    const lockoutScopes = [`verify-ip:${req.ip}`];
+
     try {
-        const result = await pool.query(
-            'SELECT * FROM license_keys WHERE license_key = $1',
-            [licenseKey]
-        );
+        const lockedFor = await getLockout(lockoutScopes);
+        if (lockedFor > 0) {
+            res.set('Retry-After', String(lockedFor));
+            return res.status(429).json({
+                valid: false,
+                status: 'locked',
+                message: 'Trop de clés invalides, réessayez plus tard',
+                retryAfter: lockedFor
+            });
+        }
 
-        if (result.rows.length === 0) {
-            await logAccess(licenseKey, 'verify', 'invalid_key');
+        const license = await checkLicense(licenseKey);
+
+        if (!license.ok) {
+            await logAccess(licenseKey, 'verify', license.status);
+            await emitEvent('verify.failed', {
+                licenseKey,
+                owner: license.keyData ? license.keyData.owner : null,
+                status: license.status,
+                ipAddress
+            });
+            if (license.status === 'invalid_key') {
+                const lockSeconds = await recordFailure(lockoutScopes, config.lockout.verifyMaxFailures);
+                if (lockSeconds > 0) {
+                    console.warn(`🚫 IP ${req.ip} verrouillée ${lockSeconds}s (clés invalides sur /api/verify)`);
+                }
+            }
             return res.json({
                 valid: false,
-                message: 'Clé de licence invalide'
+                status: license.status,
+                message: license.message,
+                ...(license.status === 'expired' ? licenseInfo(license.keyData) : {})
             });
         }
 
-        const keyData = result.rows[0];
+        const keyData = license.keyData;
+
+        // Ancienne valeur d'une clé tournée : on continue avec la nouvelle
+        const keyRotated = keyData.license_key !== licenseKey;
+        licenseKey = keyData.license_key;
 
-        if (!keyData.active) {
-            await logAccess(licenseKey, 'verify', 'inactive');
+        const device = await bindDevice(keyData, deviceId, ipAddress);
+        if (!device.ok) {
+            await logAccess(licenseKey, 'verify', device.status, ipAddress);
+            await emitEvent('verify.failed', { licenseKey, owner: keyData.owner, status: device.status, ipAddress });
             return res.json({
                 valid: false,
-                message: 'Clé de licence désactivée'
+                status: device.status,
+                message: device.message
             });
         }
 
@@ -204,10 +468,32 @@ app.post('/api/verify', async (req, res) => {
 
         await logAccess(licenseKey, 'verify', 'success');
 
+        // Jeton signé permettant à l'extension de fonctionner hors ligne
+        const licenseToken = await signLicenseToken({
+            licenseKey,
+            owner: keyData.owner,
+            role: keyData.role,
+            plan: keyData.plan,
+            expiresAt: keyData.expires_at,
+            deviceId
+        });
+
+        // Configuration à distance (réglages, fonctionnalités, interrupteur général)
+        const remoteConfig = await getEffectiveConfig(keyData);
+
         res.json({
             valid: true,
+            status: 'success',
             message: 'Clé de licence valide',
-            owner: keyData.owner
+            licenseKey,
+            ...(keyRotated ? { keyRotated: true } : {}),
+            owner: keyData.owner,
+            ...licenseInfo(keyData),
+            licenseToken: licenseToken.token,
+            licenseTokenExpiresAt: licenseToken.expiresAt,
+            offlineGraceHours: config.offlineGraceHours,
+            config: remoteConfig.config,
+            configVersion: remoteConfig.version
         });
     } catch (error) {
         console.error('Erreur verify:', error);
@@ -218,38 +504,134 @@ app.post('/api/verify', async (req, res) => {
     }
 });
 
+// Clés publiques de vérification des jetons de licence (format JWKS)
+async function sendJwks(req, res) {
+    try {
+        res.set('Cache-Control', 'public, max-age=300');
+        res.json(await getPublicJwks());
+    } catch (error) {
+        console.error('Erreur jwks:', error);
+        res.status(500).json({ success: false, message: 'Erreur serveur' });
+    }
+}
+
+app.get('/.well-known/jwks.json', sendJwks);
+app.get('/api/jwks', sendJwks);
+
 // ===== ROUTES ADMIN =====
 
-const ADMIN_PASSWORD = 'admin123';
+// Sessions : jeton d'accès court + refresh token
+const SESSION_SECRET = config.sessionSecret;
+const ACCESS_TOKEN_TTL = config.accessTokenTtl;
+const REFRESH_TOKEN_TTL = config.refreshTokenTtl;
 
-async function checkAdminAuth(req, res, next) {
-    const { password, username } = req.body;
+if (config.sessionSecretIsEphemeral) {
+    console.warn('⚠️ SESSION_SECRET non défini : les sessions seront perdues au redémarrage');
+}
+
+// Ouvrir une session et retourner les jetons
+async function createSession(username, role, req) {
+    const sessionId = generateToken(24);
+    const refreshToken = generateToken();
+
+    await pool.query(`
+        INSERT INTO sessions (id, username, role, refresh_token_hash, expires_at, ip_address, user_agent)
+        VALUES ($1, $2, $3, $4, $5, $6, $7)
+    `, [
+        sessionId,
+        username,
+        role,
+        hashToken(refreshToken),
+        new Date(Date.now() + REFRESH_TOKEN_TTL * 1000),
+        req.ip,
+        req.headers['user-agent'] || null
+    ]);
+
+    return {
+        accessToken: createAccessToken({ sub: username, sid: sessionId }, SESSION_SECRET, ACCESS_TOKEN_TTL),
+        refreshToken,
+        expiresIn: ACCESS_TOKEN_TTL
+    };
+}
 
-    // Vérifier si c'est l'ancien système (mot de passe admin fixe)
-    if (password === ADMIN_PASSWORD) {
-        req.userRole = 'admin';
-        return next();
+// Révoquer toutes les sessions d'un utilisateur
+async function revokeUserSessions(username) {
+    const result = await pool.query(
+        'UPDATE sessions SET revoked_at = NOW() WHERE username = $1 AND revoked_at IS NULL',
+        [username]
+    );
+    return result.rowCount;
+}
+
+// Retrouver la session associée au jeton "Bearer" de la requête
+async function getSessionFromRequest(req) {
+    const claims = verifyAccessToken(getBearerToken(req), SESSION_SECRET);
+    if (!claims) return null;
+
+    // Le rôle est relu depuis users pour refléter les changements de rôle
+    const result = await pool.query(`
+        SELECT s.id, s.username, u.team_id,
+            CASE WHEN s.role = 'guest' THEN 'guest' ELSE u.role END AS role
+        FROM sessions s
+        LEFT JOIN users u ON u.username = s.username
+        WHERE s.id = $1 AND s.revoked_at IS NULL AND s.expires_at > NOW()
+    `, [claims.sid]);
+
+    if (result.rows.length === 0 || !result.rows[0].role) return null;
+
+    return result.rows[0];
+}
+
+// Authentification par session (tous rôles)
+async function checkSessionAuth(req, res, next) {
+    try {
+        const session = await getSessionFromRequest(req);
+        if (session) {
+            req.sessionId = session.id;
+            req.username = session.username;
+            req.userRole = session.role;
+            // Équipe du compte (journal d'audit visible par les admins de cette équipe)
+            req.teamId = session.team_id;
+            return next();
+        }
+    } catch (error) {
+        console.error('Erreur checkSessionAuth:', error);
     }
 
-    // Vérifier si c'est un utilisateur avec rôle admin ou creator
-    if (username && password) {
-        try {
-            const result = await pool.query(
-                'SELECT role FROM users WHERE username = $1 AND password = $2',
-                [username, password]
-            );
+    return res.status(401).json({
+        success: false,
+        message: 'Session invalide ou expirée'
+    });
+}
 
-            if (result.rows.length > 0) {
-                const user = result.rows[0];
-                if (user.role === 'admin' || user.role === 'creator') {
-                    req.userRole = user.role;
-                    req.username = username;
-                    return next();
+async function checkAdminAuth(req, res, next) {
+    // Session ouverte via /api/login
+    try {
+        const session = await getSessionFromRequest(req);
+        if (session) {
+            if (session.role === 'admin' || session.role === 'creator') {
+                // Portée : toutes les équipes pour le créateur, sinon l'équipe de l'admin
+                if (session.role === 'admin' && session.team_id === null) {
+                    return res.status(403).json({
+                        success: false,
+                        message: 'Aucune équipe attribuée à ce compte admin : contactez le créateur'
+                    });
                 }
+
+                req.sessionId = session.id;
+                req.username = session.username;
+                req.userRole = session.role;
+                req.teamId = session.role === 'creator' ? null : session.team_id;
+                return next();
             }
-        } catch (error) {
-            console.error('Erreur checkAdminAuth:', error);
+
+            return res.status(403).json({
+                success: false,
+                message: 'Accès réservé aux administrateurs'
+            });
         }
+    } catch (error) {
+        console.error('Erreur checkAdminAuth:', error);
     }
 
     return res.status(401).json({
@@ -258,26 +640,151 @@ async function checkAdminAuth(req, res, next) {
     });
 }
 
-// Liste toutes les clés
-app.post('/api/admin/keys', checkAdminAuth, async (req, res) => {
+// Comptes visés par l'action : la permission dépend de leur rôle actuel et du rôle demandé
+// (users:manage-vas ou users:manage-admins) ; le compte créateur n'est jamais modifiable.
+// getRoles(req) : rôles concernés (les rôles inconnus sont laissés à la validation de la route)
+function checkAccountRoles(getRoles) {
+    return async (req, res, next) => {
+        try {
+            const roles = await getRoles(req);
+
+            if (roles.includes('creator')) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'Le compte créateur ne peut pas être modifié'
+                });
+            }
+
+            const denied = roles.find(role => ACCOUNT_PERMISSIONS[role] && !canManageAccount(req.userRole, role));
+            if (denied) {
+                return res.status(403).json({
+                    success: false,
+                    message: `Action non autorisée pour votre rôle (${ACCOUNT_PERMISSIONS[denied]})`
+                });
+            }
+
+            next();
+        } catch (error) {
+            console.error('Erreur checkAccountRoles:', error);
+            res.status(500).json({ success: false, message: 'Erreur serveur' });
+        }
+    };
+}
+
+// Rôle actuel d'un compte ou d'une clé (null si introuvable)
+async function getUserRole(username) {
+    const result = await pool.query('SELECT role FROM users WHERE username = $1', [String(username || '')]);
+    return result.rows.length > 0 ? result.rows[0].role : null;
+}
+
+async function getKeyRole(licenseKey) {
+    const result = await pool.query('SELECT role FROM license_keys WHERE license_key = $1', [String(licenseKey || '')]);
+    return result.rows.length > 0 ? result.rows[0].role : null;
+}
+
+// Clé (body.licenseKey) d'une autre équipe : traitée comme inexistante
+async function checkKeyTeam(req, res, next) {
+    if (req.teamId === null || !req.body.licenseKey) return next();
+
     try {
-        const result = await pool.query(
-            'SELECT * FROM license_keys ORDER BY created_at DESC'
-        );
+        const parsedKey = parseLicenseKey(String(req.body.licenseKey));
+        const licenseKey = parsedKey.error ? String(req.body.licenseKey) : parsedKey.key;
+
+        if ((await keysOutsideTeam([licenseKey], req.teamId)).length > 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Clé non trouvée'
+            });
+        }
+
+        next();
+    } catch (error) {
+        console.error('Erreur checkKeyTeam:', error);
+        res.status(500).json({ success: false, message: 'Erreur serveur' });
+    }
+}
+
+// Compte (body[field]) d'une autre équipe : traité comme inexistant
+function checkAccountTeam(table, field, notFoundMessage) {
+    return async (req, res, next) => {
+        if (req.teamId === null) return next();
+
+        try {
+            const result = await pool.query(
+                `SELECT team_id FROM ${table} WHERE username = $1`,
+                [String(req.body[field] || '')]
+            );
+
+            if (result.rows.length === 0 || result.rows[0].team_id !== req.teamId) {
+                return res.status(404).json({
+                    success: false,
+                    message: notFoundMessage
+                });
+            }
+
+            next();
+        } catch (error) {
+            console.error('Erreur checkAccountTeam:', error);
+            res.status(500).json({ success: false, message: 'Erreur serveur' });
+        }
+    };
+}
+
+const checkUserTeam = checkAccountTeam('users', 'targetUsername', 'Utilisateur non trouvé');
+const checkGuestTeam = checkAccountTeam('guest_users', 'guestUsername', 'Invité non trouvé');
+
+// Flux en direct du panneau admin (Server-Sent Events) : heartbeat, online, offline, comment, audit.
+// Authentification par en-tête Bearer ; le flux se ferme à l'expiration du jeton d'accès.
+app.get('/api/admin/live', checkAdminAuth, requirePermission('live:read'), (req, res) => {
+    const claims = verifyAccessToken(getBearerToken(req), SESSION_SECRET);
+
+    if (!claims) {
+        return res.status(401).json({
+            success: false,
+            message: 'Session requise pour le flux en direct'
+        });
+    }
+
+    openStream(req, res, { expiresAt: new Date(claims.exp * 1000), teamId: req.teamId });
+});
 
+// Liste les clés (celles de l'équipe pour un admin)
+app.post('/api/admin/keys', checkAdminAuth, requirePermission('keys:read'), async (req, res) => {
+    try {
+        const filters = createFilters();
+        addTeamFilter(filters, req.teamId);
+
+        const result = await pool.query(`
+            SELECT k.*, t.name AS team_name
+            FROM license_keys k
+            LEFT JOIN teams t ON t.id = k.team_id
+            ${filters.where()}
+            ORDER BY k.created_at DESC
+        `, filters.params);
+
+        const since = onlineSince();
         const keys = {};
         result.rows.forEach(row => {
             keys[row.license_key] = {
                 owner: row.owner,
                 active: row.active,
                 createdAt: row.created_at,
-                lastUsed: row.last_used
+                lastUsed: row.last_used,
+                lastHeartbeat: row.last_heartbeat,
+                isOnline: row.last_heartbeat !== null && row.last_heartbeat > since,
+                expired: isExpired(row.expires_at),
+                ...licenseInfo(row),
+                hourlyQuota: row.hourly_quota,
+                dailyQuota: row.daily_quota,
+                teamId: row.team_id,
+                teamName: row.team_name
             };
         });
 
         res.json({
             success: true,
-            keys: keys
+            keys: keys,
+            defaultQuota: config.commentQuota
         });
     } catch (error) {
         console.error('Erreur keys:', error);
@@ -286,8 +793,8 @@ app.post('/api/admin/keys', checkAdminAuth, async (req, res) => {
 });
 
 // Créer une nouvelle clé
-app.post('/api/admin/create-key', checkAdminAuth, async (req, res) => {
-    const { owner } = req.body;
+app.post('/api/admin/create-key', checkAdminAuth, requirePermission('keys:create'), async (req, res) => {
+    const { owner, days, maxDevices } = req.body;
 
     if (!owner) {
         return res.status(400).json({
@@ -296,216 +803,483 @@ app.post('/api/admin/create-key', checkAdminAuth, async (req, res) => {
         });
     }
 
-    try {
-        const licenseKey = 'TW-' + Math.random().toString(36).substring(2, 15).toUpperCase();
-
-        await pool.query(
-            'INSERT INTO license_keys (license_key, owner, active) VALUES ($1, $2, true)',
-            [licenseKey, owner]
-        );
+    const options = resolveKeyOptions({ plan: req.body.plan || config.defaultPlan, days, maxDevices });
 
-        res.json({
-            success: true,
-            licenseKey,
-            message: 'Clé créée avec succès'
+    if (options.error) {
+        return res.status(400).json({
+            success: false,
+            message: options.error
         });
-    } catch (error) {
-        console.error('Erreur create-key:', error);
-        res.status(500).json({ success: false, message: 'Erreur serveur' });
     }
-});
 
-// Activer/Désactiver une clé
-app.post('/api/admin/toggle-key', checkAdminAuth, async (req, res) => {
-    const { licenseKey } = req.body;
+    const { plan, periodDays, deviceLimit } = options;
 
     try {
-        const result = await pool.query(
-            'SELECT active FROM license_keys WHERE license_key = $1',
-            [licenseKey]
-        );
-
-        if (result.rows.length === 0) {
-            return res.status(404).json({
+        const team = await resolveTeamForCreation(req);
+        if (team.error) {
+            return res.status(400).json({
                 success: false,
-                message: 'Clé non trouvée'
+                message: team.error
             });
         }
 
-        const newActive = !result.rows[0].active;
+        const licenseKey = generateLicenseKey();
+        const expiresAt = periodDays === null ? null : extendExpiration(null, periodDays);
 
         await pool.query(
-            'UPDATE license_keys SET active = $1 WHERE license_key = $2',
-            [newActive, licenseKey]
+            'INSERT INTO license_keys (license_key, owner, active, plan, expires_at, max_devices, team_id) VALUES ($1, $2, true, $3, $4, $5, $6)',
+            [licenseKey, owner, plan, expiresAt, deviceLimit, team.teamId]
         );
 
-        await logAccess(licenseKey, 'toggle', newActive ? 'activated' : 'deactivated');
+        await recordAudit(req, 'create_key', {
+            targetType: 'key',
+            targetId: licenseKey,
+            after: { owner, plan, expiresAt, maxDevices: deviceLimit, teamId: team.teamId }
+        });
+        await emitEvent('key.created', { licenseKey, owner, plan, expiresAt, maxDevices: deviceLimit });
 
         res.json({
             success: true,
-            active: newActive,
-            message: `Clé ${newActive ? 'activée' : 'désactivée'}`
+            licenseKey,
+            plan,
+            expiresAt,
+            message: 'Clé créée avec succès'
         });
     } catch (error) {
-        console.error('Erreur toggle:', error);
+        console.error('Erreur create-key:', error);
         res.status(500).json({ success: false, message: 'Erreur serveur' });
     }
 });
 
-// Supprimer une clé
-app.post('/api/admin/delete-key', checkAdminAuth, async (req, res) => {
-    const { licenseKey } = req.body;
+// Créer des clés en lot (import CSV) avec, en option, un VA par clé au mot de passe généré.
+// Tout ou rien : la moindre ligne invalide annule le lot. dryRun = aperçu sans rien créer.
+// body : rows [{ owner, plan, days, maxDevices, username }], plan/days/maxDevices par défaut, createUsers, dryRun
+app.post('/api/admin/bulk-create-keys', checkAdminAuth, requirePermission('keys:create'), async (req, res) => {
+    const { rows, days, maxDevices, createUsers, dryRun } = req.body;
+    const plan = req.body.plan || config.defaultPlan;
 
-    try {
-        const result = await pool.query(
-            'DELETE FROM license_keys WHERE license_key = $1 RETURNING *',
-            [licenseKey]
-        );
+    if (!Array.isArray(rows) || rows.length === 0 || rows.length > MAX_BULK_ROWS) {
+        return res.status(400).json({
+            success: false,
+            message: `Liste de clés invalide (1 à ${MAX_BULK_ROWS} lignes)`
+        });
+    }
 
-        if (result.rows.length === 0) {
+    if (rows.some(row => !row || typeof row !== 'object')) {
+        return res.status(400).json({
+            success: false,
+            message: 'Ligne invalide'
+        });
+    }
+
+    try {
+        const team = await resolveTeamForCreation(req);
+        if (team.error) {
+            return res.status(400).json({
+                success: false,
+                message: team.error
+            });
+        }
+
+        const existingUsernames = createUsers
+            ? (await pool.query('SELECT username FROM users')).rows.map(user => user.username)
+            : [];
+
+        const results = planBulkKeys(rows, { plan, days, maxDevices }, {
+            createUsers: Boolean(createUsers),
+            existingUsernames
+        });
+
+        const report = results.map(({ row, owner, ok, message, plan, periodDays, deviceLimit, username }) => ({
+            row, owner, ok, message, plan, days: periodDays, maxDevices: deviceLimit, username
+        }));
+        const invalid = results.filter(result => !result.ok).length;
+
+        if (dryRun || invalid > 0) {
+            return res.status(invalid > 0 && !dryRun ? 400 : 200).json({
+                success: invalid === 0,
+                dryRun: Boolean(dryRun),
+                message: invalid > 0
+                    ? `${invalid} ligne(s) invalide(s) : aucune clé créée`
+                    : `${results.length} clé(s) prête(s) à être créée(s)`,
+                results: report
+            });
+        }
+
+        // Mots de passe hachés avant la transaction pour la garder courte
+        for (const result of results) {
+            result.licenseKey = generateLicenseKey();
+            result.expiresAt = result.periodDays === null ? null : extendExpiration(null, result.periodDays);
+            if (result.username) {
+                result.password = generateToken(12);
+                result.passwordHash = await hashPassword(result.password);
+            }
+        }
+
+        const client = await pool.connect();
+        try {
+            await client.query('BEGIN');
+
+            for (const result of results) {
+                await client.query(
+                    'INSERT INTO license_keys (license_key, owner, active, plan, expires_at, max_devices, team_id) VALUES ($1, $2, true, $3, $4, $5, $6)',
+                    [result.licenseKey, result.owner, result.plan, result.expiresAt, result.deviceLimit, team.teamId]
+                );
+
+                if (result.username) {
+                    await client.query(
+                        'INSERT INTO users (username, password, role, license_key, team_id) VALUES ($1, $2, $3, $4, $5)',
+                        [result.username, result.passwordHash, 'va', result.licenseKey, team.teamId]
+                    );
+                }
+            }
+
+            await client.query('COMMIT');
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+
+        for (const result of results) {
+            await recordAudit(req, 'create_key', {
+                targetType: 'key',
+                targetId: result.licenseKey,
+                after: { owner: result.owner, plan: result.plan, expiresAt: result.expiresAt, maxDevices: result.deviceLimit, teamId: team.teamId, bulk: true }
+            });
+            await emitEvent('key.created', {
+                licenseKey: result.licenseKey,
+                owner: result.owner,
+                plan: result.plan,
+                expiresAt: result.expiresAt,
+                maxDevices: result.deviceLimit,
+                bulk: true
+            });
+
+            if (result.username) {
+                await recordAudit(req, 'create_user', {
+                    targetType: 'user',
+                    targetId: result.username,
+                    after: { role: 'va', licenseKey: result.licenseKey, teamId: team.teamId, bulk: true }
+                });
+            }
+        }
+
+        console.log(`🔑 ${results.length} clé(s) créée(s) en lot`);
+
+        // Les mots de passe générés ne sont renvoyés qu'une seule fois
+        res.json({
+            success: true,
+            dryRun: false,
+            message: `${results.length} clé(s) créée(s)`,
+            results: results.map(result => ({
+                row: result.row,
+                owner: result.owner,
+                ok: true,
+                message: 'Créée',
+                licenseKey: result.licenseKey,
+                plan: result.plan,
+                expiresAt: result.expiresAt,
+                maxDevices: result.deviceLimit,
+                username: result.username,
+                password: result.password
+            }))
+        });
+    } catch (error) {
+        if (error.code === '23505') {
+            return res.status(409).json({
+                success: false,
+                message: 'Conflit avec une clé ou un utilisateur créé entre-temps : aucune clé créée, réessayez'
+            });
+        }
+        console.error('Erreur bulk-create-keys:', error);
+        res.status(500).json({ success: false, message: 'Erreur serveur' });
+    }
+});
+
+// Liste des plans disponibles
+app.post('/api/admin/plans', checkAdminAuth, requirePermission('keys:read'), (req, res) => {
+    res.json({
+        success: true,
+        plans: PLANS,
+        defaultPlan: config.defaultPlan
+    });
+});
+
+// Prolonger une clé de N jours
+app.post('/api/admin/extend-key', checkAdminAuth, requirePermission('keys:update'), checkKeyTeam, async (req, res) => {
+    const { licenseKey } = req.body;
+    const days = parseInt(req.body.days);
+
+    if (!licenseKey || !(days > 0)) {
+        return res.status(400).json({
+            success: false,
+            message: 'Clé de licence et nombre de jours requis'
+        });
+    }
+
+    try {
+        const result = await pool.query(
+            'SELECT expires_at FROM license_keys WHERE license_key = $1',
+            [licenseKey]
+        );
+
+        if (result.rows.length === 0) {
             return res.status(404).json({
                 success: false,
                 message: 'Clé non trouvée'
             });
         }
 
-        await logAccess(licenseKey, 'delete', 'success');
+        if (!result.rows[0].expires_at) {
+            return res.status(400).json({
+                success: false,
+                message: 'Cette clé n\'a pas de date d\'expiration'
+            });
+        }
+
+        const expiresAt = extendExpiration(result.rows[0].expires_at, days);
+
+        await pool.query(
+            'UPDATE license_keys SET expires_at = $1 WHERE license_key = $2',
+            [expiresAt, licenseKey]
+        );
+
+        await logAccess(licenseKey, 'extend', `+${days}j`);
+        await recordAudit(req, 'extend_key', {
+            targetType: 'key',
+            targetId: licenseKey,
+            before: { expiresAt: result.rows[0].expires_at },
+            after: { expiresAt, days }
+        });
 
         res.json({
             success: true,
-            message: 'Clé supprimée'
+            expiresAt,
+            daysRemaining: daysRemaining(expiresAt),
+            message: `Clé prolongée de ${days} jour(s)`
         });
     } catch (error) {
-        console.error('Erreur delete:', error);
+        console.error('Erreur extend-key:', error);
         res.status(500).json({ success: false, message: 'Erreur serveur' });
     }
 });
 
-// Voir les logs
-app.post('/api/admin/logs', checkAdminAuth, async (req, res) => {
+// Renouveler une clé pour une période de son plan (ou d'un nouveau plan)
+app.post('/api/admin/renew-key', checkAdminAuth, requirePermission('keys:update'), checkKeyTeam, async (req, res) => {
+    const { licenseKey, plan } = req.body;
+
+    if (!licenseKey) {
+        return res.status(400).json({
+            success: false,
+            message: 'Clé de licence requise'
+        });
+    }
+
+    if (plan && !isValidPlan(plan)) {
+        return res.status(400).json({
+            success: false,
+            message: 'Plan invalide'
+        });
+    }
+
     try {
         const result = await pool.query(
-            'SELECT * FROM access_logs ORDER BY timestamp DESC LIMIT 100'
+            'SELECT plan, expires_at FROM license_keys WHERE license_key = $1',
+            [licenseKey]
         );
 
+        if (result.rows.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Clé non trouvée'
+            });
+        }
+
+        const current = result.rows[0];
+        const newPlan = plan || (isValidPlan(current.plan) ? current.plan : config.defaultPlan);
+        const periodDays = PLANS[newPlan].days;
+        const expiresAt = periodDays === null ? null : extendExpiration(current.expires_at, periodDays);
+
+        // Un changement de plan applique aussi sa limite d'appareils
+        const planMaxDevices = newPlan === current.plan ? null : PLANS[newPlan].maxDevices;
+
+        await pool.query(`
+            UPDATE license_keys
+            SET plan = $1, expires_at = $2, active = true,
+                max_devices = COALESCE($3, max_devices)
+            WHERE license_key = $4
+        `, [newPlan, expiresAt, planMaxDevices, licenseKey]);
+
+        await logAccess(licenseKey, 'renew', newPlan);
+        await recordAudit(req, 'renew_key', {
+            targetType: 'key',
+            targetId: licenseKey,
+            before: { plan: current.plan, expiresAt: current.expires_at },
+            after: { plan: newPlan, expiresAt }
+        });
+
         res.json({
             success: true,
-            logs: result.rows
+            plan: newPlan,
+            expiresAt,
+            daysRemaining: daysRemaining(expiresAt),
+            message: `Clé renouvelée (${PLANS[newPlan].label})`
         });
     } catch (error) {
-        console.error('Erreur logs:', error);
+        console.error('Erreur renew-key:', error);
         res.status(500).json({ success: false, message: 'Erreur serveur' });
     }
 });
 
-// Heartbeat - signaler que l'extension est en ligne
-app.post('/api/heartbeat', async (req, res) => {
+// Clés qui expirent bientôt (ou déjà expirées mais encore actives)
+app.post('/api/admin/expiring-keys', checkAdminAuth, requirePermission('keys:read'), async (req, res) => {
+    const days = parseInt(req.body.days) || config.expiringSoonDays;
+
+    const filters = createFilters();
+    filters.add('k.active = true');
+    filters.add('k.expires_at IS NOT NULL');
+    filters.add('k.expires_at < ?', extendExpiration(null, days));
+    addTeamFilter(filters, req.teamId);
+
+    try {
+        const result = await pool.query(`
+            SELECT k.license_key, k.owner, k.active, k.plan, k.expires_at, k.max_devices, k.last_heartbeat
+            FROM license_keys k
+            ${filters.where()}
+            ORDER BY k.expires_at ASC
+        `, filters.params);
+
+        res.json({
+            success: true,
+            days,
+            keys: result.rows.map(row => ({
+                licenseKey: row.license_key,
+                owner: row.owner,
+                lastHeartbeat: row.last_heartbeat,
+                expired: isExpired(row.expires_at),
+                ...licenseInfo(row)
+            }))
+        });
+    } catch (error) {
+        console.error('Erreur expiring-keys:', error);
+        res.status(500).json({ success: false, message: 'Erreur serveur' });
+    }
+});
+
+// Appareils liés à une clé
+app.post('/api/admin/key-devices', checkAdminAuth, requirePermission('keys:read'), checkKeyTeam, async (req, res) => {
     const { licenseKey } = req.body;
-    const ipAddress = req.headers['x-forwarded-for'] || req.socket.remoteAddress;
 
     if (!licenseKey) {
         return res.status(400).json({
             success: false,
-            message: 'Clé de licence manquante'
+            message: 'Clé de licence requise'
         });
     }
 
     try {
-        // Mettre à jour le heartbeat
-        await pool.query(
-            'UPDATE license_keys SET last_heartbeat = NOW(), last_ip = $2 WHERE license_key = $1',
-            [licenseKey, ipAddress]
+        const keyResult = await pool.query(
+            'SELECT max_devices, max_concurrent FROM license_keys WHERE license_key = $1',
+            [licenseKey]
         );
 
-        // Enregistrer l'IP
-        await trackIP(licenseKey, ipAddress);
+        if (keyResult.rows.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Clé non trouvée'
+            });
+        }
+
+        const result = await pool.query(`
+            SELECT device_id, first_seen, last_seen, last_ip, (last_seen > $2) as is_online
+            FROM key_devices
+            WHERE license_key = $1
+            ORDER BY last_seen DESC
+        `, [licenseKey, onlineSince()]);
 
         res.json({
             success: true,
-            message: 'Heartbeat enregistré'
+            maxDevices: keyResult.rows[0].max_devices,
+            maxConcurrent: keyResult.rows[0].max_concurrent,
+            devices: result.rows.map(row => ({
+                deviceId: row.device_id,
+                firstSeen: row.first_seen,
+                lastSeen: row.last_seen,
+                lastIp: row.last_ip,
+                isOnline: row.is_online
+            }))
         });
     } catch (error) {
-        console.error('Erreur heartbeat:', error);
+        console.error('Erreur key-devices:', error);
         res.status(500).json({ success: false, message: 'Erreur serveur' });
     }
 });
 
-// Stats admin avec statut en ligne et IPs
-app.post('/api/admin/detailed-stats', checkAdminAuth, async (req, res) => {
-    try {
-        const keysResult = await pool.query(`
-            SELECT
-                license_key,
-                owner,
-                active,
-                created_at,
-                last_used,
-                last_heartbeat,
-                last_ip,
-                (last_heartbeat > NOW() - INTERVAL '60 seconds') as is_online
-            FROM license_keys
-            ORDER BY created_at DESC
-        `);
+// Délier un appareil (ou tous si deviceId est absent)
+app.post('/api/admin/unbind-device', checkAdminAuth, requirePermission('keys:update'), checkKeyTeam, async (req, res) => {
+    const { licenseKey, deviceId } = req.body;
 
-        const detailedStats = await Promise.all(keysResult.rows.map(async (key) => {
-            // Compter les commentaires
-            const commentsResult = await pool.query(
-                'SELECT COUNT(*) as count FROM access_logs WHERE license_key = $1 AND action = $2',
-                [key.license_key, 'comment_posted']
-            );
+    if (!licenseKey) {
+        return res.status(400).json({
+            success: false,
+            message: 'Clé de licence requise'
+        });
+    }
 
-            // Compter les IPs uniques
-            const ipsResult = await pool.query(
-                'SELECT COUNT(DISTINCT ip_address) as count FROM key_ips WHERE license_key = $1',
-                [key.license_key]
+    try {
+        const result = deviceId
+            ? await pool.query(
+                'DELETE FROM key_devices WHERE license_key = $1 AND device_id = $2',
+                [licenseKey, deviceId]
+            )
+            : await pool.query(
+                'DELETE FROM key_devices WHERE license_key = $1',
+                [licenseKey]
             );
 
-            // Récupérer les IPs
-            const ipsListResult = await pool.query(
-                'SELECT ip_address, first_seen, last_seen FROM key_ips WHERE license_key = $1 ORDER BY last_seen DESC',
-                [key.license_key]
-            );
+        if (deviceId && result.rowCount === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Appareil non trouvé'
+            });
+        }
 
-            return {
-                licenseKey: key.license_key,
-                owner: key.owner,
-                active: key.active,
-                createdAt: key.created_at,
-                lastUsed: key.last_used,
-                lastHeartbeat: key.last_heartbeat,
-                lastIp: key.last_ip,
-                isOnline: key.is_online,
-                commentsCount: parseInt(commentsResult.rows[0].count),
-                uniqueIps: parseInt(ipsResult.rows[0].count),
-                ips: ipsListResult.rows
-            };
-        }));
+        await logAccess(licenseKey, 'unbind_device', deviceId || 'all');
+        await recordAudit(req, 'unbind_device', {
+            targetType: 'key',
+            targetId: licenseKey,
+            before: { deviceId: deviceId || 'all', unboundCount: result.rowCount }
+        });
 
         res.json({
             success: true,
-            stats: detailedStats
+            unboundCount: result.rowCount,
+            message: `${result.rowCount} appareil(s) délié(s)`
         });
     } catch (error) {
-        console.error('Erreur detailed-stats:', error);
+        console.error('Erreur unbind-device:', error);
         res.status(500).json({ success: false, message: 'Erreur serveur' });
     }
 });
 
-// Enregistrer un commentaire posté
-app.post('/api/log-comment', async (req, res) => {
+// Modifier les limites d'appareils d'une clé
+app.post('/api/admin/update-key-limits', checkAdminAuth, requirePermission('keys:update'), checkKeyTeam, async (req, res) => {
     const { licenseKey } = req.body;
+    const maxDevices = parseInt(req.body.maxDevices);
+    const maxConcurrent = parseInt(req.body.maxConcurrent);
 
-    if (!licenseKey) {
+    if (!licenseKey || !(maxDevices > 0) || !(maxConcurrent > 0)) {
         return res.status(400).json({
             success: false,
-            message: 'Clé de licence manquante'
+            message: 'Clé de licence et limites (> 0) requises'
         });
     }
 
     try {
-        // Vérifier que la clé existe
         const result = await pool.query(
-            'SELECT * FROM license_keys WHERE license_key = $1',
+            'SELECT max_devices, max_concurrent FROM license_keys WHERE license_key = $1',
             [licenseKey]
         );
 
@@ -516,113 +1290,2296 @@ app.post('/api/log-comment', async (req, res) => {
             });
         }
 
-        // Logger le commentaire
-        await logAccess(licenseKey, 'comment_posted', 'success');
+        await pool.query(
+            'UPDATE license_keys SET max_devices = $1, max_concurrent = $2 WHERE license_key = $3',
+            [maxDevices, maxConcurrent, licenseKey]
+        );
+
+        await recordAudit(req, 'update_key_limits', {
+            targetType: 'key',
+            targetId: licenseKey,
+            before: { maxDevices: result.rows[0].max_devices, maxConcurrent: result.rows[0].max_concurrent },
+            after: { maxDevices, maxConcurrent }
+        });
 
         res.json({
             success: true,
-            message: 'Commentaire enregistré'
+            message: 'Limites mises à jour'
         });
     } catch (error) {
-        console.error('Erreur log-comment:', error);
+        console.error('Erreur update-key-limits:', error);
         res.status(500).json({ success: false, message: 'Erreur serveur' });
     }
 });
 
-// Statistiques publiques (sans authentification)
-app.get('/api/stats', async (req, res) => {
+// Modifier les quotas de commentaires d'une clé (vide = valeur globale, 0 = illimité)
+app.post('/api/admin/update-key-quota', checkAdminAuth, requirePermission('keys:update'), checkKeyTeam, async (req, res) => {
+    const { licenseKey } = req.body;
+    const parseQuota = value => (value === undefined || value === null || value === '' ? null : parseInt(value));
+    const hourlyQuota = parseQuota(req.body.hourlyQuota);
+    const dailyQuota = parseQuota(req.body.dailyQuota);
+
+    if (!licenseKey || [hourlyQuota, dailyQuota].some(quota => quota !== null && !(quota >= 0))) {
+        return res.status(400).json({
+            success: false,
+            message: 'Clé de licence et quotas (>= 0) requis'
+        });
+    }
+
     try {
-        // Récupérer toutes les clés actives
-        const keysResult = await pool.query(
-            'SELECT license_key, owner, created_at FROM license_keys WHERE active = true ORDER BY created_at DESC'
+        const result = await pool.query(
+            'SELECT hourly_quota, daily_quota FROM license_keys WHERE license_key = $1',
+            [licenseKey]
         );
 
-        // Pour chaque clé, compter les commentaires
-        const stats = await Promise.all(keysResult.rows.map(async (key) => {
-            const commentsResult = await pool.query(
-                'SELECT COUNT(*) as count FROM access_logs WHERE license_key = $1 AND action = $2',
-                [key.license_key, 'comment_posted']
-            );
+        if (result.rows.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Clé non trouvée'
+            });
+        }
 
-            return {
-                owner: key.owner,
-                licenseKey: key.license_key,
-                commentsCount: parseInt(commentsResult.rows[0].count),
-                createdAt: key.created_at
-            };
-        }));
+        await pool.query(
+            'UPDATE license_keys SET hourly_quota = $1, daily_quota = $2 WHERE license_key = $3',
+            [hourlyQuota, dailyQuota, licenseKey]
+        );
+
+        await recordAudit(req, 'update_key_quota', {
+            targetType: 'key',
+            targetId: licenseKey,
+            before: { hourlyQuota: result.rows[0].hourly_quota, dailyQuota: result.rows[0].daily_quota },
+            after: { hourlyQuota, dailyQuota }
+        });
 
         res.json({
             success: true,
-            stats: stats
+            message: 'Quotas mis à jour'
         });
     } catch (error) {
-        console.error('Erreur stats:', error);
+        console.error('Erreur update-key-quota:', error);
         res.status(500).json({ success: false, message: 'Erreur serveur' });
     }
 });
 
-// ===== ROUTES INVITÉS =====
+// Liste des clés de signature (sans la partie privée)
+app.post('/api/admin/signing-keys', checkAdminAuth, requirePermission('signing-keys:manage'), async (req, res) => {
+    try {
+        const result = await pool.query(
+            'SELECT kid, algorithm, status, created_at, retired_at FROM signing_keys ORDER BY created_at DESC'
+        );
 
-// Login (creator, admin ou VA)
-app.post('/api/login', async (req, res) => {
-    const { username, password } = req.body;
+        res.json({
+            success: true,
+            offlineGraceHours: config.offlineGraceHours,
+            keys: result.rows
+        });
+    } catch (error) {
+        console.error('Erreur signing-keys:', error);
+        res.status(500).json({ success: false, message: 'Erreur serveur' });
+    }
+});
+
+// Rotation de la clé de signature des jetons hors ligne
+app.post('/api/admin/rotate-signing-key', checkAdminAuth, requirePermission('signing-keys:manage'), async (req, res) => {
+    try {
+        const kid = await rotateSigningKey();
+
+        console.log(`🔏 Rotation de la clé de signature par ${req.username || 'admin'} (nouveau kid: ${kid})`);
+        await recordAudit(req, 'rotate_signing_key', {
+            targetType: 'signing_key',
+            targetId: kid
+        });
+
+        res.json({
+            success: true,
+            kid,
+            message: `Nouvelle clé de signature active. L'ancienne reste publiée ${config.offlineGraceHours} h.`
+        });
+    } catch (error) {
+        console.error('Erreur rotate-signing-key:', error);
+        res.status(500).json({ success: false, message: 'Erreur serveur' });
+    }
+});
+
+// Activer/Désactiver une clé
+app.post('/api/admin/toggle-key', checkAdminAuth, requirePermission('keys:update'), checkKeyTeam, async (req, res) => {
+    const { licenseKey } = req.body;
 
     try {
-        // Vérifier dans la table users (creator, admin, va)
         const result = await pool.query(
-            'SELECT * FROM users WHERE username = $1 AND password = $2',
-            [username, password]
+            'SELECT active, owner FROM license_keys WHERE license_key = $1',
+            [licenseKey]
         );
 
-        if (result.rows.length > 0) {
-            const user = result.rows[0];
+        if (result.rows.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Clé non trouvée'
+            });
+        }
+
+        const newActive = !result.rows[0].active;
+
+        await pool.query(
+            'UPDATE license_keys SET active = $1 WHERE license_key = $2',
+            [newActive, licenseKey]
+        );
+
+        await logAccess(licenseKey, 'toggle', newActive ? 'activated' : 'deactivated');
+        await recordAudit(req, 'toggle_key', {
+            targetType: 'key',
+            targetId: licenseKey,
+            before: { active: result.rows[0].active },
+            after: { active: newActive }
+        });
+        await emitEvent('key.toggled', { licenseKey, owner: result.rows[0].owner, active: newActive });
+
+        res.json({
+            success: true,
+            active: newActive,
+            message: `Clé ${newActive ? 'activée' : 'désactivée'}`
+        });
+    } catch (error) {
+        console.error('Erreur toggle:', error);
+        res.status(500).json({ success: false, message: 'Erreur serveur' });
+    }
+});
+
+// Tables qui référencent une clé par sa valeur (à compléter si une nouvelle table en stocke une)
+const KEY_REFERENCE_TABLES = ['access_logs', 'key_ips', 'key_devices', 'comments', 'users'];
+
+// Tables de réglages par niveau où une clé est référencée par scope = 'key' et scope_id
+const KEY_SCOPED_TABLES = ['remote_config', 'template_set_assignments'];
+
+// Rotation d'une clé compromise : nouvelle valeur pour la même licence, historique conservé.
+// graceHours : l'ancienne valeur reste acceptée pendant ce délai ; resetDevices : délier les appareils
+app.post('/api/admin/rotate-key', checkAdminAuth, requirePermission('keys:update'), checkKeyTeam, async (req, res) => {
+    const { licenseKey, resetDevices } = req.body;
+    const graceHours = req.body.graceHours ? parseInt(req.body.graceHours) : 0;
+
+    if (!licenseKey) {
+        return res.status(400).json({
+            success: false,
+            message: 'Clé de licence requise'
+        });
+    }
+
+    if (!(graceHours >= 0 && graceHours <= config.keyRotationMaxGraceHours)) {
+        return res.status(400).json({
+            success: false,
+            message: `Période de grâce invalide (0 à ${config.keyRotationMaxGraceHours} heures)`
+        });
+    }
+
+    const newLicenseKey = generateLicenseKey();
+    const graceUntil = new Date(Date.now() + graceHours * 60 * 60 * 1000);
+
+    try {
+        const client = await pool.connect();
+        try {
+            await client.query('BEGIN');
+
+            const current = await client.query(
+                'SELECT license_key FROM license_keys WHERE license_key = $1 FOR UPDATE',
+                [licenseKey]
+            );
+
+            if (current.rows.length === 0) {
+                await client.query('ROLLBACK');
+                return res.status(404).json({
+                    success: false,
+                    message: 'Clé non trouvée'
+                });
+            }
+
+            if (resetDevices) {
+                await client.query('DELETE FROM key_devices WHERE license_key = $1', [licenseKey]);
+            }
+
+            await client.query(
+                'UPDATE license_keys SET license_key = $1 WHERE license_key = $2',
+                [newLicenseKey, licenseKey]
+            );
+
+            for (const table of KEY_REFERENCE_TABLES) {
+                await client.query(`UPDATE ${table} SET license_key = $1 WHERE license_key = $2`, [newLicenseKey, licenseKey]);
+            }
+
+            // Les réglages propres à la clé (configuration, modèles) la suivent
+            for (const table of KEY_SCOPED_TABLES) {
+                await client.query(`UPDATE ${table} SET scope_id = $1 WHERE scope = 'key' AND scope_id = $2`, [newLicenseKey, licenseKey]);
+            }
+
+            // Rotations successives : les anciennes valeurs pointent toutes vers la valeur actuelle
+            await client.query(
+                'UPDATE key_aliases SET license_key = $1 WHERE license_key = $2',
+                [newLicenseKey, licenseKey]
+            );
+
+            await client.query(
+                'INSERT INTO key_aliases (old_key, license_key, created_by, expires_at) VALUES ($1, $2, $3, $4)',
+                [licenseKey, newLicenseKey, req.username, graceUntil]
+            );
+
+            await client.query('COMMIT');
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+
+        await logAccess(newLicenseKey, 'rotate', licenseKey);
+
+        await recordAudit(req, 'rotate_key', {
+            targetType: 'key',
+            targetId: newLicenseKey,
+            before: { licenseKey },
+            after: { licenseKey: newLicenseKey, graceUntil: graceHours > 0 ? graceUntil : null, resetDevices: Boolean(resetDevices) }
+        });
+
+        console.log(`🔄 Clé ${licenseKey} remplacée par ${newLicenseKey}${graceHours > 0 ? ` (ancienne valeur acceptée ${graceHours} h)` : ''}`);
+
+        res.json({
+            success: true,
+            licenseKey: newLicenseKey,
+            previousKey: licenseKey,
+            graceUntil: graceHours > 0 ? graceUntil : null,
+            message: 'Nouvelle clé générée'
+        });
+    } catch (error) {
+        console.error('Erreur rotate-key:', error);
+        res.status(500).json({ success: false, message: 'Erreur serveur' });
+    }
+});
+
+// Supprimer une clé
+app.post('/api/admin/delete-key', checkAdminAuth, requirePermission('keys:delete'), checkKeyTeam, async (req, res) => {
+    const { licenseKey } = req.body;
+
+    try {
+        const result = await pool.query(
+            'DELETE FROM license_keys WHERE license_key = $1 RETURNING *',
+            [licenseKey]
+        );
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Clé non trouvée'
+            });
+        }
+
+        await pool.query(
+            'DELETE FROM key_devices WHERE license_key = $1',
+            [licenseKey]
+        );
+
+        await pool.query(
+            'DELETE FROM key_aliases WHERE license_key = $1',
+            [licenseKey]
+        );
+
+        for (const table of KEY_SCOPED_TABLES) {
+            await pool.query(`DELETE FROM ${table} WHERE scope = 'key' AND scope_id = $1`, [licenseKey]);
+        }
+
+        await logAccess(licenseKey, 'delete', 'success');
+
+        const deleted = result.rows[0];
+        await recordAudit(req, 'delete_key', {
+            targetType: 'key',
+            targetId: licenseKey,
+            teamId: deleted.team_id,
+            before: {
+                owner: deleted.owner,
+                active: deleted.active,
+                role: deleted.role,
+                plan: deleted.plan,
+                expiresAt: deleted.expires_at
+            }
+        });
+        await emitEvent('key.deleted', { licenseKey, owner: deleted.owner });
+
+        res.json({
+            success: true,
+            message: 'Clé supprimée'
+        });
+    } catch (error) {
+        console.error('Erreur delete:', error);
+        res.status(500).json({ success: false, message: 'Erreur serveur' });
+    }
+});
+
+// Explorateur des logs d'accès (filtres, recherche libre, pagination par curseur sur l'id)
+app.post('/api/admin/logs', checkAdminAuth, requirePermission('logs:read'), async (req, res) => {
+    try {
+        const page = await listLogs(req.body, { teamId: req.teamId });
+
+        if (page.error) {
+            return res.status(400).json({ success: false, message: page.error });
+        }
+
+        res.json({
+            success: true,
+            logs: page.logs,
+            nextCursor: page.nextCursor
+        });
+    } catch (error) {
+        console.error('Erreur logs:', error);
+        res.status(500).json({ success: false, message: 'Erreur serveur' });
+    }
+});
+
+// Journal d'audit admin (filtres + pagination par curseur sur l'id) ; un admin voit celui de son équipe
+app.post('/api/admin/audit', checkAdminAuth, requirePermission('audit:read'), async (req, res) => {
+    const { actor, action, targetType, targetId, from, to, beforeId } = req.body;
+    const limit = parseLimit(req.body.limit);
+
+    const filters = createFilters();
+    addTeamFilter(filters, req.teamId, 'team_id');
+    if (actor) filters.add('actor_username = ?', actor);
+    if (action) filters.add('action = ?', action);
+    if (targetType) filters.add('target_type = ?', targetType);
+    if (targetId) filters.add('target_id = ?', targetId);
+    if (from) filters.add('created_at >= ?', new Date(from));
+    if (to) filters.add('created_at <= ?', new Date(to));
+    if (parseInt(beforeId) > 0) filters.add('id < ?', parseInt(beforeId));
+
+    if (filters.hasInvalidDate()) {
+        return res.status(400).json({
+            success: false,
+            message: 'Date invalide'
+        });
+    }
+
+    try {
+        const result = await pool.query(`
+            SELECT id, actor_username, actor_role, action, target_type, target_id,
+                before_value, after_value, ip_address, user_agent, created_at
+            FROM admin_audit_log
+            ${filters.where()}
+            ORDER BY id DESC
+            LIMIT ${filters.param(limit + 1)}
+        `, filters.params);
+
+        const page = buildPage(result.rows, limit, entry => entry.id);
+
+        res.json({
+            success: true,
+            entries: page.items,
+            nextCursor: page.nextCursor
+        });
+    } catch (error) {
+        console.error('Erreur audit:', error);
+        res.status(500).json({ success: false, message: 'Erreur serveur' });
+    }
+});
+
+// ===== ÉQUIPES =====
+
+// Équipes visibles (toutes pour le créateur, la sienne pour un admin) avec leurs effectifs
+app.post('/api/admin/teams', checkAdminAuth, requirePermission('teams:read'), async (req, res) => {
+    try {
+        res.json({
+            success: true,
+            teamId: req.teamId,
+            teams: await listTeams(req.teamId)
+        });
+    } catch (error) {
+        console.error('Erreur teams:', error);
+        res.status(500).json({ success: false, message: 'Erreur serveur' });
+    }
+});
+
+app.post('/api/admin/create-team', checkAdminAuth, requirePermission('teams:manage'), async (req, res) => {
+    const validation = validateTeamName(req.body.name);
+    if (validation.error) {
+        return res.status(400).json({ success: false, message: validation.error });
+    }
+
+    try {
+        const result = await pool.query(
+            'INSERT INTO teams (name, created_by) VALUES ($1, $2) RETURNING id',
+            [validation.name, req.username]
+        );
+
+        const id = result.rows[0].id;
+        await recordAudit(req, 'create_team', {
+            targetType: 'team',
+            targetId: id,
+            after: { name: validation.name }
+        });
+
+        res.json({ success: true, id, message: 'Équipe créée' });
+    } catch (error) {
+        if (error.code === '23505') {
+            return res.status(409).json({ success: false, message: 'Une équipe porte déjà ce nom' });
+        }
+        console.error('Erreur create-team:', error);
+        res.status(500).json({ success: false, message: 'Erreur serveur' });
+    }
+});
+
+app.post('/api/admin/rename-team', checkAdminAuth, requirePermission('teams:manage'), async (req, res) => {
+    const validation = validateTeamName(req.body.name);
+    if (validation.error) {
+        return res.status(400).json({ success: false, message: validation.error });
+    }
+
+    try {
+        const existing = await pool.query('SELECT name FROM teams WHERE id = $1', [parseInt(req.body.id) || 0]);
+        if (existing.rows.length === 0) {
+            return res.status(404).json({ success: false, message: 'Équipe non trouvée' });
+        }
+
+        await pool.query('UPDATE teams SET name = $1 WHERE id = $2', [validation.name, parseInt(req.body.id)]);
+
+        await recordAudit(req, 'update_team', {
+            targetType: 'team',
+            targetId: parseInt(req.body.id),
+            before: { name: existing.rows[0].name },
+            after: { name: validation.name }
+        });
+
+        res.json({ success: true, message: 'Équipe renommée' });
+    } catch (error) {
+        if (error.code === '23505') {
+            return res.status(409).json({ success: false, message: 'Une équipe porte déjà ce nom' });
+        }
+        console.error('Erreur rename-team:', error);
+        res.status(500).json({ success: false, message: 'Erreur serveur' });
+    }
+});
+
+// Supprimer une équipe vide (ses clés, utilisateurs et invités doivent d'abord être déplacés)
+app.post('/api/admin/delete-team', checkAdminAuth, requirePermission('teams:manage'), async (req, res) => {
+    const id = parseInt(req.body.id) || 0;
+
+    try {
+        const members = await pool.query(`
+            SELECT
+                (SELECT COUNT(*) FROM license_keys WHERE team_id = $1)
+                + (SELECT COUNT(*) FROM users WHERE team_id = $1)
+                + (SELECT COUNT(*) FROM guest_users WHERE team_id = $1) AS count
+        `, [id]);
+
+        if (parseInt(members.rows[0].count) > 0) {
+            return res.status(409).json({
+                success: false,
+                message: 'Équipe non vide : déplacez d\'abord ses clés, utilisateurs et invités'
+            });
+        }
+
+        const result = await pool.query('DELETE FROM teams WHERE id = $1 RETURNING name', [id]);
+        if (result.rows.length === 0) {
+            return res.status(404).json({ success: false, message: 'Équipe non trouvée' });
+        }
+
+        await recordAudit(req, 'delete_team', {
+            targetType: 'team',
+            targetId: id,
+            before: { name: result.rows[0].name }
+        });
+
+        res.json({ success: true, message: 'Équipe supprimée' });
+    } catch (error) {
+        console.error('Erreur delete-team:', error);
+        res.status(500).json({ success: false, message: 'Erreur serveur' });
+    }
+});
+
+// Déplacer une clé (avec ses VAs), un admin ou un invité vers une équipe (teamId vide = hors équipe)
+// body : teamId + licenseKey, targetUsername ou guestUsername
+app.post('/api/admin/assign-team', checkAdminAuth, requirePermission('teams:manage'), async (req, res) => {
+    const { licenseKey, targetUsername, guestUsername } = req.body;
+
+    if ([licenseKey, targetUsername, guestUsername].filter(Boolean).length !== 1) {
+        return res.status(400).json({
+            success: false,
+            message: 'Une clé, un utilisateur ou un invité requis'
+        });
+    }
+
+    try {
+        const team = await parseRequestedTeam(req.body.teamId);
+        if (team.error) {
+            return res.status(404).json({ success: false, message: team.error });
+        }
+
+        let audit;
+
+        if (licenseKey) {
+            const current = await pool.query('SELECT team_id FROM license_keys WHERE license_key = $1', [licenseKey]);
+            if (current.rows.length === 0) {
+                return res.status(404).json({ success: false, message: 'Clé non trouvée' });
+            }
+
+            await pool.query('UPDATE license_keys SET team_id = $1 WHERE license_key = $2', [team.teamId, licenseKey]);
+
+            // Les VAs suivent leur clé
+            const movedUsers = await pool.query(
+                "UPDATE users SET team_id = $1 WHERE license_key = $2 AND role = 'va' RETURNING username",
+                [team.teamId, licenseKey]
+            );
+
+            audit = {
+                targetType: 'key',
+                targetId: licenseKey,
+                before: { teamId: current.rows[0].team_id },
+                after: { teamId: team.teamId, movedUsers: movedUsers.rows.map(user => user.username) }
+            };
+        } else if (targetUsername) {
+            const current = await pool.query('SELECT role, license_key, team_id FROM users WHERE username = $1', [targetUsername]);
+            if (current.rows.length === 0) {
+                return res.status(404).json({ success: false, message: 'Utilisateur non trouvé' });
+            }
+
+            const user = current.rows[0];
+            if (user.role === 'creator') {
+                return res.status(400).json({ success: false, message: 'Le créateur voit déjà toutes les équipes' });
+            }
+            if (user.role === 'va' && user.license_key) {
+                return res.status(400).json({ success: false, message: 'Un VA suit l\'équipe de sa clé : déplacez la clé' });
+            }
+
+            await pool.query('UPDATE users SET team_id = $1 WHERE username = $2', [team.teamId, targetUsername]);
+
+            audit = {
+                targetType: 'user',
+                targetId: targetUsername,
+                before: { teamId: user.team_id },
+                after: { teamId: team.teamId }
+            };
+        } else {
+            const current = await pool.query('SELECT team_id FROM guest_users WHERE username = $1', [guestUsername]);
+            if (current.rows.length === 0) {
+                return res.status(404).json({ success: false, message: 'Invité non trouvé' });
+            }
+
+            await pool.query('UPDATE guest_users SET team_id = $1 WHERE username = $2', [team.teamId, guestUsername]);
+
+            audit = {
+                targetType: 'guest',
+                targetId: guestUsername,
+                before: { teamId: current.rows[0].team_id },
+                after: { teamId: team.teamId }
+            };
+        }
+
+        await recordAudit(req, 'assign_team', audit);
+
+        res.json({ success: true, message: team.teamId === null ? 'Retiré de son équipe' : 'Équipe mise à jour' });
+    } catch (error) {
+        console.error('Erreur assign-team:', error);
+        res.status(500).json({ success: false, message: 'Erreur serveur' });
+    }
+});
+
+// ===== CONFIGURATION À DISTANCE =====
+
+// Réglages disponibles, valeurs par défaut et surcharges enregistrées.
+// Un admin d'équipe voit les niveaux global et rôle (modifiables par le créateur seul) et ses clés.
+app.post('/api/admin/remote-config', checkAdminAuth, requirePermission('remote-config:read'), async (req, res) => {
+    const filters = createFilters();
+    if (req.teamId !== null) filters.add("(c.scope <> 'key' OR k.team_id = ?)", req.teamId);
+
+    try {
+        const result = await pool.query(`
+            SELECT c.scope, c.scope_id, c.settings, c.updated_by, c.updated_at, k.owner
+            FROM remote_config c
+            LEFT JOIN license_keys k ON c.scope = 'key' AND k.license_key = c.scope_id
+            ${filters.where()}
+            ORDER BY CASE c.scope WHEN 'global' THEN 0 WHEN 'role' THEN 1 ELSE 2 END, c.scope_id
+        `, filters.params);
+
+        res.json({
+            success: true,
+            settings: REMOTE_SETTINGS,
+            scopes: REMOTE_CONFIG_SCOPES,
+            roles: REMOTE_CONFIG_ROLES,
+            defaults: resolveConfig([]),
+            overrides: result.rows.map(row => ({
+                scope: row.scope,
+                scopeId: row.scope_id,
+                owner: row.owner || null,
+                settings: row.settings,
+                updatedBy: row.updated_by,
+                updatedAt: row.updated_at
+            }))
+        });
+    } catch (error) {
+        console.error('Erreur remote-config:', error);
+        res.status(500).json({ success: false, message: 'Erreur serveur' });
+    }
+});
+
+// Remplacer les surcharges d'un niveau : scope (global, role, key), scopeId (rôle ou clé), settings.
+// settings vide = surcharge supprimée (le niveau hérite alors entièrement)
+app.post('/api/admin/update-remote-config', checkAdminAuth, requirePermission('remote-config:manage-keys'), async (req, res) => {
+    const { scope } = req.body;
+    let scopeId = scope === 'global' ? '' : String(req.body.scopeId || '').trim();
+
+    if (!isValidScope(scope)) {
+        return res.status(400).json({
+            success: false,
+            message: `Niveau invalide (${REMOTE_CONFIG_SCOPES.join(', ')})`
+        });
+    }
+
+    // Les niveaux global et rôle s'appliquent à toutes les équipes
+    if (scope !== 'key' && !hasPermission(req.userRole, 'remote-config:manage-global')) {
+        return res.status(403).json({
+            success: false,
+            message: 'Action non autorisée pour votre rôle (remote-config:manage-global)'
+        });
+    }
+
+    if (scope === 'role' && !REMOTE_CONFIG_ROLES.includes(scopeId)) {
+        return res.status(400).json({
+            success: false,
+            message: `Rôle invalide (${REMOTE_CONFIG_ROLES.join(' ou ')})`
+        });
+    }
+
+    if (scope === 'key') {
+        const parsedKey = parseLicenseKey(scopeId);
+        if (parsedKey.error) {
+            return res.status(400).json({ success: false, message: parsedKey.error });
+        }
+        scopeId = parsedKey.key;
+    }
+
+    const validation = validateSettings(req.body.settings);
+    if (validation.error) {
+        return res.status(400).json({ success: false, message: validation.error });
+    }
+
+    const settings = Object.keys(validation.settings).length > 0 ? validation.settings : null;
+
+    try {
+        // Équipe de la clé visée (configuration par clé), pour le journal d'audit
+        let keyTeamId;
+        if (scope === 'key') {
+            const key = await pool.query('SELECT team_id FROM license_keys WHERE license_key = $1', [scopeId]);
+            if (key.rows.length === 0 || (req.teamId !== null && key.rows[0].team_id !== req.teamId)) {
+                return res.status(404).json({ success: false, message: 'Clé non trouvée' });
+            }
+            keyTeamId = key.rows[0].team_id;
+        }
+
+        const client = await pool.connect();
+        let before;
+
+        try {
+            await client.query('BEGIN');
+
+            const existing = await client.query(
+                'SELECT settings FROM remote_config WHERE scope = $1 AND scope_id = $2 FOR UPDATE',
+                [scope, scopeId]
+            );
+            before = existing.rows.length > 0 ? existing.rows[0].settings : null;
+
+            if (settings) {
+                await client.query(`
+                    INSERT INTO remote_config (scope, scope_id, settings, updated_by, updated_at)
+                    VALUES ($1, $2, $3, $4, NOW())
+                    ON CONFLICT (scope, scope_id)
+                    DO UPDATE SET settings = EXCLUDED.settings, updated_by = EXCLUDED.updated_by, updated_at = NOW()
+                `, [scope, scopeId, JSON.stringify(settings), req.username]);
+            } else {
+                await client.query('DELETE FROM remote_config WHERE scope = $1 AND scope_id = $2', [scope, scopeId]);
+            }
+
+            await client.query(`
+                INSERT INTO remote_config_history (scope, scope_id, before_settings, after_settings, changed_by)
+                VALUES ($1, $2, $3, $4, $5)
+            `, [
+                scope,
+                scopeId,
+                before === null ? null : JSON.stringify(before),
+                settings === null ? null : JSON.stringify(settings),
+                req.username
+            ]);
+
+            await client.query('COMMIT');
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+
+        await recordAudit(req, 'update_remote_config', {
+            targetType: 'remote_config',
+            targetId: scopeId ? `${scope}:${scopeId}` : scope,
+            teamId: keyTeamId,
+            before,
+            after: settings
+        });
+
+        console.log(`🎛️ Configuration ${scope}${scopeId ? ` ${scopeId}` : ''} modifiée par ${req.username || 'admin'}`);
+
+        res.json({
+            success: true,
+            message: settings ? 'Configuration enregistrée' : 'Surcharge supprimée'
+        });
+    } catch (error) {
+        console.error('Erreur update-remote-config:', error);
+        res.status(500).json({ success: false, message: 'Erreur serveur' });
+    }
+});
+
+// Historique des modifications (filtres scope, scopeId ; pagination beforeId)
+app.post('/api/admin/remote-config-history', checkAdminAuth, requirePermission('remote-config:read'), async (req, res) => {
+    const { scope, scopeId, beforeId } = req.body;
+    const limit = parseLimit(req.body.limit);
+
+    try {
+        const filters = createFilters();
+        if (scope) filters.add('h.scope = ?', scope);
+        if (scopeId !== undefined && scopeId !== '') filters.add('h.scope_id = ?', String(scopeId));
+        if (parseInt(beforeId) > 0) filters.add('h.id < ?', parseInt(beforeId));
+        if (req.teamId !== null) filters.add("(h.scope <> 'key' OR k.team_id = ?)", req.teamId);
+
+        const result = await pool.query(`
+            SELECT h.id, h.scope, h.scope_id, h.before_settings, h.after_settings, h.changed_by, h.changed_at
+            FROM remote_config_history h
+            LEFT JOIN license_keys k ON h.scope = 'key' AND k.license_key = h.scope_id
+            ${filters.where()}
+            ORDER BY h.id DESC
+            LIMIT ${filters.param(limit + 1)}
+        `, filters.params);
+
+        const page = buildPage(result.rows, limit, row => row.id);
+
+        res.json({
+            success: true,
+            entries: page.items,
+            nextCursor: page.nextCursor
+        });
+    } catch (error) {
+        console.error('Erreur remote-config-history:', error);
+        res.status(500).json({ success: false, message: 'Erreur serveur' });
+    }
+});
+
+// Configuration effective d'une clé (celle que reçoit l'extension)
+app.post('/api/admin/effective-config', checkAdminAuth, requirePermission('remote-config:read'), checkKeyTeam, async (req, res) => {
+    const parsedKey = parseLicenseKey(req.body.licenseKey || '');
+    if (parsedKey.error) {
+        return res.status(400).json({ success: false, message: parsedKey.error });
+    }
+
+    try {
+        const result = await pool.query(
+            'SELECT license_key, role FROM license_keys WHERE license_key = $1',
+            [parsedKey.key]
+        );
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({ success: false, message: 'Clé non trouvée' });
+        }
+
+        const remoteConfig = await getEffectiveConfig(result.rows[0]);
+
+        res.json({
+            success: true,
+            role: result.rows[0].role,
+            config: remoteConfig.config,
+            configVersion: remoteConfig.version
+        });
+    } catch (error) {
+        console.error('Erreur effective-config:', error);
+        res.status(500).json({ success: false, message: 'Erreur serveur' });
+    }
+});
+
+// ===== MODÈLES DE COMMENTAIRES =====
+
+// Bibliothèque avec utilisation (filtres search, tag, active) et jeux
+app.post('/api/admin/templates', checkAdminAuth, requirePermission('templates:manage'), async (req, res) => {
+    try {
+        const [templates, sets] = await Promise.all([
+            listTemplates(req.body),
+            listTemplateSets()
+        ]);
+
+        res.json({ success: true, templates, sets });
+    } catch (error) {
+        console.error('Erreur admin templates:', error);
+        res.status(500).json({ success: false, message: 'Erreur serveur' });
+    }
+});
+
+// Nouveau modèle : name, body, tags
+app.post('/api/admin/create-template', checkAdminAuth, requirePermission('templates:manage'), async (req, res) => {
+    const validation = validateTemplate(req.body);
+    if (validation.error) {
+        return res.status(400).json({ success: false, message: validation.error });
+    }
+
+    const { name, body, tags, active = true } = validation.values;
+
+    try {
+        const result = await pool.query(`
+            INSERT INTO comment_templates (name, body, tags, active, created_by)
+            VALUES ($1, $2, $3, $4, $5)
+            RETURNING id
+        `, [name, body, JSON.stringify(tags), active, req.username || null]);
+
+        const id = result.rows[0].id;
+        await recordAudit(req, 'create_template', {
+            targetType: 'template',
+            targetId: id,
+            after: { name, tags, active }
+        });
+
+        res.json({ success: true, id, message: 'Modèle créé' });
+    } catch (error) {
+        console.error('Erreur create-template:', error);
+        res.status(500).json({ success: false, message: 'Erreur serveur' });
+    }
+});
+
+// Modifier un modèle : id + name, body, tags et/ou active
+app.post('/api/admin/update-template', checkAdminAuth, requirePermission('templates:manage'), async (req, res) => {
+    const validation = validateTemplate(req.body, { partial: true });
+    if (validation.error) {
+        return res.status(400).json({ success: false, message: validation.error });
+    }
+
+    const changes = validation.values;
+    if (Object.keys(changes).length === 0) {
+        return res.status(400).json({ success: false, message: 'Aucune modification' });
+    }
+
+    try {
+        const existing = await pool.query('SELECT * FROM comment_templates WHERE id = $1', [parseInt(req.body.id) || 0]);
+
+        if (existing.rows.length === 0) {
+            return res.status(404).json({ success: false, message: 'Modèle non trouvé' });
+        }
+
+        const before = existing.rows[0];
+        const after = { ...before, ...changes };
+
+        await pool.query(`
+            UPDATE comment_templates
+            SET name = $1, body = $2, tags = $3, active = $4, updated_at = NOW()
+            WHERE id = $5
+        `, [after.name, after.body, JSON.stringify(after.tags), after.active, before.id]);
+
+        // Le texte n'est pas recopié dans le journal, seulement le fait qu'il a changé
+        const summarize = values => Object.fromEntries(Object.keys(changes).map(field => [
+            field,
+            field === 'body' ? `${values.body.length} caractères` : values[field]
+        ]));
+
+        await recordAudit(req, 'update_template', {
+            targetType: 'template',
+            targetId: before.id,
+            before: summarize(before),
+            after: summarize(after)
+        });
+
+        res.json({ success: true, message: 'Modèle mis à jour' });
+    } catch (error) {
+        console.error('Erreur update-template:', error);
+        res.status(500).json({ success: false, message: 'Erreur serveur' });
+    }
+});
+
+// Supprimer un modèle (retiré des jeux ; les commentaires passés gardent leur texte)
+app.post('/api/admin/delete-template', checkAdminAuth, requirePermission('templates:manage'), async (req, res) => {
+    try {
+        const result = await pool.query(
+            'DELETE FROM comment_templates WHERE id = $1 RETURNING id, name, tags',
+            [parseInt(req.body.id) || 0]
+        );
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({ success: false, message: 'Modèle non trouvé' });
+        }
+
+        const deleted = result.rows[0];
+        await recordAudit(req, 'delete_template', {
+            targetType: 'template',
+            targetId: deleted.id,
+            before: { name: deleted.name, tags: deleted.tags }
+        });
+
+        res.json({ success: true, message: 'Modèle supprimé' });
+    } catch (error) {
+        console.error('Erreur delete-template:', error);
+        res.status(500).json({ success: false, message: 'Erreur serveur' });
+    }
+});
+
+// Clés attribuées qui n'existent pas (liste vide si toutes existent)
+async function findMissingKeys(assignments) {
+    const licenseKeys = assignments.filter(assignment => assignment.scope === 'key').map(assignment => assignment.scopeId);
+    if (licenseKeys.length === 0) return [];
+
+    const placeholders = licenseKeys.map((_, index) => `$${index + 1}`).join(', ');
+    const result = await pool.query(
+        `SELECT license_key FROM license_keys WHERE license_key IN (${placeholders})`,
+        licenseKeys
+    );
+
+    const found = new Set(result.rows.map(row => row.license_key));
+    return licenseKeys.filter(key => !found.has(key));
+}
+
+// Créer (id null) ou modifier un jeu : name, description, templateIds et
+// assignments [{ scope: 'role' | 'key', scopeId }] remplacent l'existant
+async function saveTemplateSet(req, res, id) {
+    const validation = validateTemplateSet(req.body, { partial: id !== null });
+
+    if (validation.error) {
+        return res.status(400).json({ success: false, message: validation.error });
+    }
+
+    const values = validation.values;
+
+    try {
+        if (values.assignments) {
+            const missing = await findMissingKeys(values.assignments);
+            if (missing.length > 0) {
+                return res.status(404).json({ success: false, message: `Clé(s) non trouvée(s) : ${missing.join(', ')}` });
+            }
+        }
+
+        const client = await pool.connect();
+        let setId = id;
+        let before = null;
+
+        try {
+            await client.query('BEGIN');
+
+            if (id === null) {
+                const inserted = await client.query(
+                    'INSERT INTO template_sets (name, description, created_by) VALUES ($1, $2, $3) RETURNING id',
+                    [values.name, values.description || null, req.username || null]
+                );
+                setId = inserted.rows[0].id;
+            } else {
+                const existing = await client.query('SELECT * FROM template_sets WHERE id = $1 FOR UPDATE', [id]);
+                if (existing.rows.length === 0) {
+                    await client.query('ROLLBACK');
+                    return res.status(404).json({ success: false, message: 'Jeu non trouvé' });
+                }
+
+                before = existing.rows[0];
+                await client.query(
+                    'UPDATE template_sets SET name = $1, description = $2, updated_at = NOW() WHERE id = $3',
+                    [
+                        values.name ?? before.name,
+                        values.description !== undefined ? values.description : before.description,
+                        id
+                    ]
+                );
+            }
+
+            await replaceSetContents(client, setId, values);
+            await client.query('COMMIT');
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        } finally {
+            client.release();
+        }
+
+        await recordAudit(req, id === null ? 'create_template_set' : 'update_template_set', {
+            targetType: 'template_set',
+            targetId: setId,
+            before: before && { name: before.name, description: before.description },
+            after: values
+        });
+
+        res.json({
+            success: true,
+            id: setId,
+            message: id === null ? 'Jeu créé' : 'Jeu mis à jour'
+        });
+    } catch (error) {
+        if (error.code === '23505') {
+            return res.status(409).json({ success: false, message: 'Un jeu porte déjà ce nom' });
+        }
+        console.error('Erreur jeu de modèles:', error);
+        res.status(500).json({ success: false, message: 'Erreur serveur' });
+    }
+}
+
+app.post('/api/admin/create-template-set', checkAdminAuth, requirePermission('templates:manage'), (req, res) => {
+    saveTemplateSet(req, res, null);
+});
+
+app.post('/api/admin/update-template-set', checkAdminAuth, requirePermission('templates:manage'), (req, res) => {
+    saveTemplateSet(req, res, parseInt(req.body.id) || 0);
+});
+
+app.post('/api/admin/delete-template-set', checkAdminAuth, requirePermission('templates:manage'), async (req, res) => {
+    try {
+        const result = await pool.query(
+            'DELETE FROM template_sets WHERE id = $1 RETURNING id, name',
+            [parseInt(req.body.id) || 0]
+        );
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({ success: false, message: 'Jeu non trouvé' });
+        }
+
+        await recordAudit(req, 'delete_template_set', {
+            targetType: 'template_set',
+            targetId: result.rows[0].id,
+            before: { name: result.rows[0].name }
+        });
+
+        res.json({ success: true, message: 'Jeu supprimé' });
+    } catch (error) {
+        console.error('Erreur delete-template-set:', error);
+        res.status(500).json({ success: false, message: 'Erreur serveur' });
+    }
+});
+
+// ===== WEBHOOKS =====
+
+// Le secret complet n'est renvoyé qu'à la création et au renouvellement
+function webhookInfo(row) {
+    return {
+        id: row.id,
+        url: row.url,
+        description: row.description,
+        events: row.events,
+        active: row.active,
+        secretPreview: row.secret.slice(0, 10) + '…',
+        createdBy: row.created_by,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at
+    };
+}
+
+// Abonnements, avec le nombre d'envois en attente et abandonnés
+app.post('/api/admin/webhooks', checkAdminAuth, requirePermission('webhooks:manage'), async (req, res) => {
+    try {
+        const result = await pool.query(`
+            SELECT e.*,
+                COUNT(*) FILTER (WHERE d.status = 'pending') AS pending,
+                COUNT(*) FILTER (WHERE d.status = 'failed') AS failed
+            FROM webhook_endpoints e
+            LEFT JOIN webhook_deliveries d ON d.endpoint_id = e.id
+            GROUP BY e.id
+            ORDER BY e.created_at DESC, e.id DESC
+        `);
+
+        res.json({
+            success: true,
+            events: WEBHOOK_EVENTS,
+            webhooks: result.rows.map(row => ({
+                ...webhookInfo(row),
+                pending: parseInt(row.pending),
+                failed: parseInt(row.failed)
+            }))
+        });
+    } catch (error) {
+        console.error('Erreur webhooks:', error);
+        res.status(500).json({ success: false, message: 'Erreur serveur' });
+    }
+});
+
+// Nouvel abonnement : url, events (au moins un), description
+app.post('/api/admin/create-webhook', checkAdminAuth, requirePermission('webhooks:manage'), async (req, res) => {
+    const url = parseWebhookUrl(req.body.url);
+    const events = parseEvents(req.body.events);
+    const description = typeof req.body.description === 'string' ? req.body.description.trim().slice(0, 255) : '';
+
+    if (!url) {
+        return res.status(400).json({ success: false, message: 'URL invalide (http ou https)' });
+    }
+
+    if (!events) {
+        return res.status(400).json({
+            success: false,
+            message: `Événements invalides (${Object.keys(WEBHOOK_EVENTS).join(', ')})`
+        });
+    }
+
+    try {
+        const secret = generateSecret();
+        const result = await pool.query(`
+            INSERT INTO webhook_endpoints (url, description, events, secret, created_by)
+            VALUES ($1, $2, $3, $4, $5)
+            RETURNING *
+        `, [url, description || null, JSON.stringify(events), secret, req.username || null]);
+
+        invalidateEndpoints();
+
+        const webhook = result.rows[0];
+        await recordAudit(req, 'create_webhook', {
+            targetType: 'webhook',
+            targetId: webhook.id,
+            after: { url, description: webhook.description, events }
+        });
+
+        res.json({
+            success: true,
+            webhook: webhookInfo(webhook),
+            secret,
+            message: 'Webhook créé'
+        });
+    } catch (error) {
+        console.error('Erreur create-webhook:', error);
+        res.status(500).json({ success: false, message: 'Erreur serveur' });
+    }
+});
+
+// Modifier un abonnement : id + url, events, description et/ou active
+app.post('/api/admin/update-webhook', checkAdminAuth, requirePermission('webhooks:manage'), async (req, res) => {
+    const { id } = req.body;
+    const changes = {};
+
+    if (req.body.url !== undefined) {
+        changes.url = parseWebhookUrl(req.body.url);
+        if (!changes.url) {
+            return res.status(400).json({ success: false, message: 'URL invalide (http ou https)' });
+        }
+    }
+
+    if (req.body.events !== undefined) {
+        changes.events = parseEvents(req.body.events);
+        if (!changes.events) {
+            return res.status(400).json({
+                success: false,
+                message: `Événements invalides (${Object.keys(WEBHOOK_EVENTS).join(', ')})`
+            });
+        }
+    }
+
+    if (req.body.description !== undefined) {
+        changes.description = typeof req.body.description === 'string'
+            ? req.body.description.trim().slice(0, 255) || null
+            : null;
+    }
+
+    if (req.body.active !== undefined) {
+        changes.active = Boolean(req.body.active);
+    }
+
+    if (Object.keys(changes).length === 0) {
+        return res.status(400).json({ success: false, message: 'Aucune modification' });
+    }
+
+    try {
+        const existing = await pool.query('SELECT * FROM webhook_endpoints WHERE id = $1', [parseInt(id) || 0]);
+
+        if (existing.rows.length === 0) {
+            return res.status(404).json({ success: false, message: 'Webhook non trouvé' });
+        }
+
+        const before = existing.rows[0];
+        const after = { ...before, ...changes };
+
+        const result = await pool.query(`
+            UPDATE webhook_endpoints
+            SET url = $1, description = $2, events = $3, active = $4, updated_at = NOW()
+            WHERE id = $5
+            RETURNING *
+        `, [after.url, after.description, JSON.stringify(after.events), after.active, before.id]);
+
+        invalidateEndpoints();
+
+        await recordAudit(req, 'update_webhook', {
+            targetType: 'webhook',
+            targetId: before.id,
+            before: Object.fromEntries(Object.keys(changes).map(field => [field, before[field]])),
+            after: changes
+        });
+
+        res.json({
+            success: true,
+            webhook: webhookInfo(result.rows[0]),
+            message: 'Webhook mis à jour'
+        });
+    } catch (error) {
+        console.error('Erreur update-webhook:', error);
+        res.status(500).json({ success: false, message: 'Erreur serveur' });
+    }
+});
+
+// Supprimer un abonnement (et son journal d'envois)
+app.post('/api/admin/delete-webhook', checkAdminAuth, requirePermission('webhooks:manage'), async (req, res) => {
+    try {
+        const result = await pool.query(
+            'DELETE FROM webhook_endpoints WHERE id = $1 RETURNING url, events',
+            [parseInt(req.body.id) || 0]
+        );
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({ success: false, message: 'Webhook non trouvé' });
+        }
+
+        invalidateEndpoints();
+
+        await recordAudit(req, 'delete_webhook', {
+            targetType: 'webhook',
+            targetId: req.body.id,
+            before: result.rows[0]
+        });
+
+        res.json({ success: true, message: 'Webhook supprimé' });
+    } catch (error) {
+        console.error('Erreur delete-webhook:', error);
+        res.status(500).json({ success: false, message: 'Erreur serveur' });
+    }
+});
+
+// Nouveau secret de signature (l'ancien cesse immédiatement d'être utilisé)
+app.post('/api/admin/rotate-webhook-secret', checkAdminAuth, requirePermission('webhooks:manage'), async (req, res) => {
+    try {
+        const secret = generateSecret();
+        const result = await pool.query(
+            'UPDATE webhook_endpoints SET secret = $1, updated_at = NOW() WHERE id = $2 RETURNING id',
+            [secret, parseInt(req.body.id) || 0]
+        );
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({ success: false, message: 'Webhook non trouvé' });
+        }
+
+        await recordAudit(req, 'rotate_webhook_secret', {
+            targetType: 'webhook',
+            targetId: result.rows[0].id
+        });
+
+        res.json({ success: true, secret, message: 'Nouveau secret généré' });
+    } catch (error) {
+        console.error('Erreur rotate-webhook-secret:', error);
+        res.status(500).json({ success: false, message: 'Erreur serveur' });
+    }
+});
+
+// Envoyer un événement de test à un abonnement
+app.post('/api/admin/test-webhook', checkAdminAuth, requirePermission('webhooks:manage'), async (req, res) => {
+    try {
+        const result = await pool.query(
+            'SELECT id, active FROM webhook_endpoints WHERE id = $1',
+            [parseInt(req.body.id) || 0]
+        );
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({ success: false, message: 'Webhook non trouvé' });
+        }
+
+        if (!result.rows[0].active) {
+            return res.status(400).json({ success: false, message: 'Webhook désactivé' });
+        }
+
+        await emitEvent(TEST_EVENT, { message: 'Événement de test', by: req.username || null }, { endpointId: result.rows[0].id });
+
+        res.json({ success: true, message: 'Événement de test mis en file' });
+    } catch (error) {
+        console.error('Erreur test-webhook:', error);
+        res.status(500).json({ success: false, message: 'Erreur serveur' });
+    }
+});
+
+// Journal des envois (filtres endpointId, event, status ; pagination beforeId)
+app.post('/api/admin/webhook-deliveries', checkAdminAuth, requirePermission('webhooks:manage'), async (req, res) => {
+    try {
+        const page = await listDeliveries(req.body);
+
+        if (page.error) {
+            return res.status(400).json({ success: false, message: page.error });
+        }
+
+        res.json({ success: true, ...page });
+    } catch (error) {
+        console.error('Erreur webhook-deliveries:', error);
+        res.status(500).json({ success: false, message: 'Erreur serveur' });
+    }
+});
+
+// Relancer un envoi abandonné
+app.post('/api/admin/retry-webhook-delivery', checkAdminAuth, requirePermission('webhooks:manage'), async (req, res) => {
+    try {
+        const retried = await retryDelivery(parseInt(req.body.id) || 0);
+
+        if (!retried) {
+            return res.status(404).json({ success: false, message: 'Envoi abandonné non trouvé' });
+        }
+
+        await recordAudit(req, 'retry_webhook_delivery', {
+            targetType: 'webhook_delivery',
+            targetId: req.body.id
+        });
+
+        res.json({ success: true, message: 'Envoi relancé' });
+    } catch (error) {
+        console.error('Erreur retry-webhook-delivery:', error);
+        res.status(500).json({ success: false, message: 'Erreur serveur' });
+    }
+});
+
+// Liste de blocage IP + verrouillages en cours
+app.post('/api/admin/blocklist', checkAdminAuth, requirePermission('security:manage'), async (req, res) => {
+    try {
+        const now = new Date();
+
+        const blocked = await pool.query(`
+            SELECT ip_address, reason, created_by, created_at, expires_at
+            FROM ip_blocklist
+            WHERE expires_at IS NULL OR expires_at > $1
+            ORDER BY created_at DESC
+        `, [now]);
+
+        const lockouts = await pool.query(`
+            SELECT scope, failures, last_failure, locked_until
+            FROM auth_failures
+            WHERE locked_until > $1
+            ORDER BY locked_until DESC
+        `, [now]);
+
+        res.json({
+            success: true,
+            blocked: blocked.rows,
+            lockouts: lockouts.rows
+        });
+    } catch (error) {
+        console.error('Erreur blocklist:', error);
+        res.status(500).json({ success: false, message: 'Erreur serveur' });
+    }
+});
+
+// Bloquer une IP (définitivement ou pour N heures)
+app.post('/api/admin/block-ip', checkAdminAuth, requirePermission('security:manage'), async (req, res) => {
+    const { ipAddress, reason } = req.body;
+    const hours = req.body.hours ? parseInt(req.body.hours) : null;
+
+    if (typeof ipAddress !== 'string' || !net.isIP(ipAddress)) {
+        return res.status(400).json({
+            success: false,
+            message: 'Adresse IP valide requise'
+        });
+    }
+
+    if (hours !== null && !(hours > 0)) {
+        return res.status(400).json({
+            success: false,
+            message: 'Durée invalide'
+        });
+    }
+
+    if (ipAddress === req.ip) {
+        return res.status(400).json({
+            success: false,
+            message: 'Impossible de bloquer votre propre adresse IP'
+        });
+    }
+
+    try {
+        const expiresAt = hours ? new Date(Date.now() + hours * 60 * 60 * 1000) : null;
+
+        await pool.query(`
+            INSERT INTO ip_blocklist (ip_address, reason, created_by, expires_at)
+            VALUES ($1, $2, $3, $4)
+            ON CONFLICT (ip_address) DO UPDATE SET reason = $2, created_by = $3, created_at = NOW(), expires_at = $4
+        `, [ipAddress, reason || null, req.username, expiresAt]);
+
+        await recordAudit(req, 'block_ip', {
+            targetType: 'ip',
+            targetId: ipAddress,
+            after: { reason: reason || null, expiresAt }
+        });
+
+        res.json({
+            success: true,
+            expiresAt,
+            message: `IP ${ipAddress} bloquée`
+        });
+    } catch (error) {
+        console.error('Erreur block-ip:', error);
+        res.status(500).json({ success: false, message: 'Erreur serveur' });
+    }
+});
+
+// Débloquer une IP
+app.post('/api/admin/unblock-ip', checkAdminAuth, requirePermission('security:manage'), async (req, res) => {
+    const { ipAddress } = req.body;
+
+    try {
+        const result = await pool.query(
+            'DELETE FROM ip_blocklist WHERE ip_address = $1 RETURNING reason, expires_at',
+            [ipAddress]
+        );
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'IP non bloquée'
+            });
+        }
+
+        await recordAudit(req, 'unblock_ip', {
+            targetType: 'ip',
+            targetId: ipAddress,
+            before: { reason: result.rows[0].reason, expiresAt: result.rows[0].expires_at }
+        });
+
+        res.json({
+            success: true,
+            message: `IP ${ipAddress} débloquée`
+        });
+    } catch (error) {
+        console.error('Erreur unblock-ip:', error);
+        res.status(500).json({ success: false, message: 'Erreur serveur' });
+    }
+});
+
+// Lever un verrouillage (ex: "login-user:bob@203.0.113.7")
+app.post('/api/admin/clear-lockout', checkAdminAuth, requirePermission('security:manage'), async (req, res) => {
+    const { scope } = req.body;
+
+    if (!scope) {
+        return res.status(400).json({
+            success: false,
+            message: 'Portée requise'
+        });
+    }
+
+    try {
+        await clearFailures([scope]);
+
+        await recordAudit(req, 'clear_lockout', {
+            targetType: 'lockout',
+            targetId: scope
+        });
+
+        res.json({
+            success: true,
+            message: 'Verrouillage levé'
+        });
+    } catch (error) {
+        console.error('Erreur clear-lockout:', error);
+        res.status(500).json({ success: false, message: 'Erreur serveur' });
+    }
+});
+
+// Activité des commentaires dans le temps (une clé, plusieurs clés ou toutes)
+app.post('/api/admin/analytics', checkAdminAuth, requirePermission('analytics:read'), async (req, res) => {
+    const query = parseAnalyticsQuery(req.body);
+
+    if (query.error) {
+        return res.status(400).json({ success: false, message: query.error });
+    }
+
+    let licenseKeys = req.body.licenseKeys || (req.body.licenseKey ? [req.body.licenseKey] : null);
+
+    if (licenseKeys && (!Array.isArray(licenseKeys) || licenseKeys.length === 0 || licenseKeys.length > MAX_ANALYTICS_KEYS)) {
+        return res.status(400).json({
+            success: false,
+            message: `Liste de clés invalide (1 à ${MAX_ANALYTICS_KEYS} clés)`
+        });
+    }
+
+    try {
+        if (licenseKeys && (await keysOutsideTeam(licenseKeys, req.teamId)).length > 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Clé non trouvée'
+            });
+        }
+
+        const analytics = await getCommentAnalytics(query, licenseKeys, req.teamId);
+
+        res.json({
+            success: true,
+            licenseKeys,
+            ...analytics
+        });
+    } catch (error) {
+        console.error('Erreur analytics:', error);
+        res.status(500).json({ success: false, message: 'Erreur serveur' });
+    }
+});
+
+// Heartbeat - signaler que l'extension est en ligne
+app.post('/api/heartbeat', async (req, res) => {
+    const { deviceId } = req.body;
+    const ipAddress = req.ip;
+
+    if (!req.body.licenseKey) {
+        return res.status(400).json({
+            success: false,
+            message: 'Clé de licence manquante'
+        });
+    }
+
+    const parsedKey = parseLicenseKey(req.body.licenseKey);
+    if (parsedKey.error) {
+        return res.status(400).json({
+            success: false,
+            status: 'malformed_key',
+            message: parsedKey.error
+        });
+    }
+
+    let licenseKey = parsedKey.key;
+
+    try {
+        const license = await checkLicense(licenseKey);
+
+        if (!license.ok) {
+            return res.json({
+                success: false,
+                status: license.status,
+                message: license.message,
+                ...(license.status === 'expired' ? licenseInfo(license.keyData) : {})
+            });
+        }
+
+        const keyRotated = license.keyData.license_key !== licenseKey;
+        licenseKey = license.keyData.license_key;
+
+        const device = await bindDevice(license.keyData, deviceId, ipAddress);
+        if (!device.ok) {
+            return res.json({
+                success: false,
+                status: device.status,
+                message: device.message
+            });
+        }
+
+        // Mettre à jour le heartbeat
+        await pool.query(
+            'UPDATE license_keys SET last_heartbeat = NOW(), last_ip = $2 WHERE license_key = $1',
+            [licenseKey, ipAddress]
+        );
+
+        // Panneaux admin en direct : heartbeat, et passage en ligne si la clé ne l'était plus
+        const lastHeartbeat = license.keyData.last_heartbeat;
+        const live = { licenseKey, owner: license.keyData.owner, deviceId: deviceId || null, ipAddress };
+        const liveTeam = { teamId: license.keyData.team_id };
+        if (!lastHeartbeat || lastHeartbeat <= onlineSince()) {
+            publishLive('online', live, liveTeam);
+        }
+        publishLive('heartbeat', live, liveTeam);
+
+        // Enregistrer l'IP
+        await trackIP(licenseKey, ipAddress);
+
+        // Renouveler le jeton hors ligne à chaque heartbeat
+        const licenseToken = await signLicenseToken({
+            licenseKey,
+            owner: license.keyData.owner,
+            role: license.keyData.role,
+            plan: license.keyData.plan,
+            expiresAt: license.keyData.expires_at,
+            deviceId
+        });
+
+        // La configuration n'est renvoyée que si l'extension n'a pas déjà cette version
+        const remoteConfig = await getEffectiveConfig(license.keyData);
+
+        res.json({
+            success: true,
+            status: 'success',
+            message: 'Heartbeat enregistré',
+            ...(keyRotated ? { licenseKey, keyRotated: true } : {}),
+            ...licenseInfo(license.keyData),
+            quota: await getQuotaUsage(license.keyData),
+            licenseToken: licenseToken.token,
+            licenseTokenExpiresAt: licenseToken.expiresAt,
+            configVersion: remoteConfig.version,
+            ...(req.body.configVersion !== remoteConfig.version ? { config: remoteConfig.config } : {})
+        });
+    } catch (error) {
+        console.error('Erreur heartbeat:', error);
+        res.status(500).json({ success: false, message: 'Erreur serveur' });
+    }
+});
+
+// Stats admin avec statut en ligne et IPs (paginé : search, sort, order, cursor, limit)
+app.post('/api/admin/detailed-stats', checkAdminAuth, requirePermission('keys:read'), async (req, res) => {
+    try {
+        const page = await listKeys(req.body, { teamId: req.teamId });
+
+        if (page.error) {
+            return res.status(400).json({ success: false, message: page.error });
+        }
+
+        const since = onlineSince();
+        const ipsByKey = await getIpsByKey(page.keys.map(key => key.license_key));
+
+        const detailedStats = page.keys.map(key => ({
+            licenseKey: key.license_key,
+            owner: key.owner,
+            active: key.active,
+            createdAt: key.created_at,
+            lastUsed: key.last_used,
+            lastHeartbeat: key.last_heartbeat,
+            lastIp: key.last_ip,
+            isOnline: key.last_heartbeat !== null && key.last_heartbeat > since,
+            expired: isExpired(key.expires_at),
+            ...licenseInfo(key),
+            commentsCount: key.comments_count,
+            uniqueIps: ipsByKey[key.license_key].length,
+            ips: ipsByKey[key.license_key]
+        }));
+
+        res.json({
+            success: true,
+            stats: detailedStats,
+            totalComments: (await getKeyTotals({ teamId: req.teamId })).totalComments,
+            nextCursor: page.nextCursor
+        });
+    } catch (error) {
+        console.error('Erreur detailed-stats:', error);
+        res.status(500).json({ success: false, message: 'Erreur serveur' });
+    }
+});
+
+// Webhook comment.milestone quand le total de commentaires d'une clé atteint un palier configuré
+async function notifyCommentMilestone(keyData) {
+    try {
+        if (!(await hasSubscribers('comment.milestone'))) return;
+
+        const result = await pool.query(
+            'SELECT COUNT(*) AS count FROM access_logs WHERE license_key = $1 AND action = $2',
+            [keyData.license_key, 'comment_posted']
+        );
+        const count = parseInt(result.rows[0].count);
+
+        if (config.webhooks.commentMilestones.includes(count)) {
+            await emitEvent('comment.milestone', { licenseKey: keyData.license_key, owner: keyData.owner, comments: count });
+        }
+    } catch (error) {
+        console.error('Erreur palier commentaires:', error);
+    }
+}
+
+// Refuser un commentaire au-delà du quota de la clé (refus journalisé)
+async function rejectOverQuota(res, licenseKey, usage) {
+    await logAccess(licenseKey, 'comment_rejected', 'quota_exceeded');
+    return res.status(429).json({
+        success: false,
+        status: 'quota_exceeded',
+        message: 'Quota de commentaires atteint',
+        quota: usage
+    });
+}
+
+// Enregistrer un commentaire posté
+app.post('/api/log-comment', async (req, res) => {
+    const { tweetUrl, targetAccount, commentText } = req.body;
+    const status = req.body.status || 'posted';
+    const ipAddress = req.ip;
+
+    if (!req.body.licenseKey) {
+        return res.status(400).json({
+            success: false,
+            message: 'Clé de licence manquante'
+        });
+    }
+
+    const parsedKey = parseLicenseKey(req.body.licenseKey);
+    if (parsedKey.error) {
+        return res.status(400).json({
+            success: false,
+            status: 'malformed_key',
+            message: parsedKey.error
+        });
+    }
+
+    let licenseKey = parsedKey.key;
+
+    try {
+        // Anciennes extensions : simple compteur, sans détail du tweet
+        const isDetailed = Boolean(tweetUrl || req.body.tweetId);
+
+        // L'URL n'est conservée (et affichée en lien dans le panneau) que si c'est bien celle d'un tweet
+        const parsedUrl = parseTweetUrl(tweetUrl);
+        const tweetId = normalizeTweetId(req.body.tweetId) || (parsedUrl && parsedUrl.tweetId);
+        const account = normalizeAccount(targetAccount) || (parsedUrl && parsedUrl.account) || null;
+        const postedDate = parsePostedAt(req.body.postedAt);
+        // Modèle utilisé (bibliothèque centrale), pour les statistiques d'utilisation
+        const rawTemplateId = req.body.templateId;
+        const templateId = rawTemplateId === undefined || rawTemplateId === null
+            ? null
+            : (typeof rawTemplateId === 'number' || typeof rawTemplateId === 'string' ? Number(rawTemplateId) : NaN);
+
+        if (isDetailed) {
+            if (!tweetId) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Tweet invalide (tweetUrl ou tweetId requis)'
+                });
+            }
+
+            if (!isValidCommentStatus(status)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Statut invalide (posted, failed ou deleted)'
+                });
+            }
+
+            if ((commentText && (typeof commentText !== 'string' || commentText.length > MAX_COMMENT_LENGTH))
+                || (tweetUrl && (typeof tweetUrl !== 'string' || tweetUrl.length > MAX_URL_LENGTH))
+                || (templateId !== null && !(Number.isInteger(templateId) && templateId > 0))
+                || !postedDate) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Données du commentaire invalides'
+                });
+            }
+        }
+
+        // Clé existante, active et non expirée (ancienne valeur acceptée pendant la grâce d'une rotation)
+        const license = await checkLicense(licenseKey);
+
+        if (!license.ok) {
+            return res.status(license.status === 'invalid_key' ? 404 : 403).json({
+                success: false,
+                status: license.status,
+                message: license.message
+            });
+        }
+
+        const keyData = license.keyData;
+        licenseKey = keyData.license_key;
+
+        if (!isDetailed) {
+            const usage = await getQuotaUsage(keyData);
+            if (usage.exceeded) {
+                return rejectOverQuota(res, licenseKey, usage);
+            }
+
+            // Logger le commentaire
+            await logAccess(licenseKey, 'comment_posted', 'success');
+            await notifyCommentMilestone(keyData);
+            publishLive('comment', { licenseKey, owner: keyData.owner, status: 'posted' }, { teamId: keyData.team_id });
+
+            return res.json({
+                success: true,
+                message: 'Commentaire enregistré',
+                quota: await getQuotaUsage(keyData)
+            });
+        }
+
+        const existing = await pool.query(
+            'SELECT id, status FROM comments WHERE license_key = $1 AND tweet_id = $2',
+            [licenseKey, tweetId]
+        );
+        const previous = existing.rows[0];
+
+        // Tweet déjà signalé : seul un changement de statut est accepté (vérifié avant le quota,
+        // pour qu'un doublon reçoive 409 même quand la clé est à sa limite)
+        if (previous && !canChangeStatus(previous.status, status)) {
+            return res.status(409).json({
+                success: false,
+                status: 'duplicate',
+                commentId: previous.id,
+                message: 'Ce tweet a déjà été signalé'
+            });
+        }
+
+        // Seuls les commentaires publiés consomment le quota (nouveau tweet, ou nouvel essai réussi après un échec)
+        if (status === 'posted') {
+            const usage = await getQuotaUsage(keyData);
+            if (usage.exceeded) {
+                return rejectOverQuota(res, licenseKey, usage);
+            }
+        }
+
+        let commentId;
+
+        if (!previous) {
+            const inserted = await pool.query(`
+                INSERT INTO comments (license_key, tweet_id, tweet_url, target_account, comment_text, status, posted_at, ip_address, template_id)
+                VALUES ($1, $2, $3, $4, $5, $6, $7, $8, (SELECT id FROM comment_templates WHERE id = $9))
+                ON CONFLICT (license_key, tweet_id) DO NOTHING
+                RETURNING id
+            `, [licenseKey, tweetId, parsedUrl ? tweetUrl : null, account, commentText || null, status, postedDate, ipAddress, templateId]);
+
+            // Deux rapports simultanés du même tweet : le second est un doublon
+            if (inserted.rows.length === 0) {
+                return res.status(409).json({
+                    success: false,
+                    status: 'duplicate',
+                    message: 'Ce tweet a déjà été signalé'
+                });
+            }
+
+            commentId = inserted.rows[0].id;
+        } else {
+            // Nouvel essai réussi : la date de publication devient celle du nouvel envoi
+            await pool.query(`
+                UPDATE comments
+                SET status = $1, updated_at = NOW(),
+                    comment_text = COALESCE($2, comment_text),
+                    posted_at = COALESCE($3, posted_at),
+                    template_id = COALESCE((SELECT id FROM comment_templates WHERE id = $4), template_id)
+                WHERE id = $5
+            `, [status, commentText || null, status === 'posted' ? postedDate : null, templateId, previous.id]);
+
+            commentId = previous.id;
+        }
+
+        // Les statistiques existantes comptent les entrées "comment_posted"
+        await logAccess(licenseKey, `comment_${status}`, 'success');
+        if (status === 'posted') await notifyCommentMilestone(keyData);
+        publishLive('comment', {
+            licenseKey, owner: keyData.owner, status, commentId, tweetId, targetAccount: account, templateId
+        }, { teamId: keyData.team_id });
+
+        res.json({
+            success: true,
+            commentId,
+            status,
+            message: 'Commentaire enregistré',
+            quota: await getQuotaUsage(keyData)
+        });
+    } catch (error) {
+        console.error('Erreur log-comment:', error);
+        res.status(500).json({ success: false, message: 'Erreur serveur' });
+    }
+});
+
+// Modèles de commentaires attribués à la clé (jeux de la clé et de son rôle).
+// templatesVersion renvoyée par l'extension : liste omise si rien n'a changé
+app.post('/api/templates', async (req, res) => {
+    if (!req.body.licenseKey) {
+        return res.status(400).json({
+            success: false,
+            message: 'Clé de licence manquante'
+        });
+    }
+
+    const parsedKey = parseLicenseKey(req.body.licenseKey);
+    if (parsedKey.error) {
+        return res.status(400).json({
+            success: false,
+            status: 'malformed_key',
+            message: parsedKey.error
+        });
+    }
+
+    try {
+        const license = await checkLicense(parsedKey.key);
+
+        if (!license.ok) {
+            return res.json({
+                success: false,
+                status: license.status,
+                message: license.message
+            });
+        }
+
+        const { templates, version } = await getTemplatesForKey(license.keyData);
+
+        res.json({
+            success: true,
+            templatesVersion: version,
+            ...(req.body.templatesVersion !== version ? { templates } : {})
+        });
+    } catch (error) {
+        console.error('Erreur templates:', error);
+        res.status(500).json({ success: false, message: 'Erreur serveur' });
+    }
+});
+
+// Statistiques publiques (sans authentification), classées par commentaires par défaut
+// Paramètres : search, sort, order, cursor, limit
+app.get('/api/stats', async (req, res) => {
+    try {
+        const page = await listKeys(req.query, { activeOnly: true, defaultSort: 'commentsCount' });
+
+        if (page.error) {
+            return res.status(400).json({ success: false, message: page.error });
+        }
+
+        const totals = await getKeyTotals({ activeOnly: true });
+
+        res.json({
+            success: true,
+            stats: page.keys.map(key => ({
+                owner: key.owner,
+                licenseKey: key.license_key,
+                commentsCount: key.comments_count,
+                createdAt: key.created_at
+            })),
+            totalKeys: totals.totalKeys,
+            totalComments: totals.totalComments,
+            nextCursor: page.nextCursor
+        });
+    } catch (error) {
+        console.error('Erreur stats:', error);
+        res.status(500).json({ success: false, message: 'Erreur serveur' });
+    }
+});
+
+// ===== INITIALISATION =====
+
+// Indiquer si le compte créateur reste à créer
+app.get('/api/setup/status', (req, res) => {
+    res.json({
+        success: true,
+        setupRequired: setupTokenHash !== null
+    });
+});
+
+// Créer le compte créateur avec le jeton d'initialisation
+app.post('/api/setup', async (req, res) => {
+    const { setupToken, password } = req.body;
+
+    if (setupTokenHash === null) {
+        return res.status(409).json({
+            success: false,
+            message: 'Le compte créateur existe déjà'
+        });
+    }
+
+    if (typeof setupToken !== 'string' || typeof password !== 'string' || !setupToken || !password) {
+        return res.status(400).json({
+            success: false,
+            message: 'Jeton d\'initialisation et mot de passe requis'
+        });
+    }
+
+    if (password.length < config.minPasswordLength) {
+        return res.status(400).json({
+            success: false,
+            message: `Le mot de passe doit contenir au moins ${config.minPasswordLength} caractères`
+        });
+    }
+
+    try {
+        const expected = Buffer.from(setupTokenHash);
+        const received = Buffer.from(hashToken(setupToken));
+        if (!crypto.timingSafeEqual(expected, received)) {
+            return res.status(401).json({
+                success: false,
+                message: 'Jeton d\'initialisation invalide'
+            });
+        }
+
+        const result = await pool.query(
+            'INSERT INTO users (username, password, role) VALUES ($1, $2, $3) ON CONFLICT (username) DO NOTHING RETURNING id',
+            [config.creatorUsername, await hashPassword(password), 'creator']
+        );
+
+        if (result.rows.length === 0) {
+            return res.status(409).json({
+                success: false,
+                message: 'Le compte créateur existe déjà'
+            });
+        }
+
+        // Le jeton ne peut servir qu'une fois
+        setupTokenHash = null;
+
+        console.log(`✅ Compte créateur "${config.creatorUsername}" initialisé`);
+
+        req.username = config.creatorUsername;
+        req.userRole = 'creator';
+        await recordAudit(req, 'setup_creator', {
+            targetType: 'user',
+            targetId: config.creatorUsername,
+            after: { role: 'creator' }
+        });
+
+        res.json({
+            success: true,
+            username: config.creatorUsername,
+            message: 'Compte créateur créé'
+        });
+    } catch (error) {
+        console.error('Erreur setup:', error);
+        res.status(500).json({ success: false, message: 'Erreur serveur' });
+    }
+});
+
+// ===== ROUTES INVITÉS =====
+
+// Verrouillage d'un compte depuis une IP : des échecs provoqués depuis une autre adresse
+// ne bloquent pas le vrai titulaire du compte
+function userLockoutScope(username, ip) {
+    return `login-user:${username.toLowerCase()}@${ip}`;
+}
+
+// Login (creator, admin ou VA)
+app.post('/api/login', async (req, res) => {
+    const { username, password } = req.body;
+
+    if (typeof username !== 'string' || typeof password !== 'string' || !username || !password) {
+        return res.status(400).json({
+            success: false,
+            message: 'Identifiants requis'
+        });
+    }
+
+    // Verrouillage progressif par IP et par nom d'utilisateur depuis cette IP
+    const lockoutScopes = [`login-ip:${req.ip}`, userLockoutScope(username, req.ip)];
+
+    try {
+        const lockedFor = await getLockout(lockoutScopes);
+        if (lockedFor > 0) {
+            res.set('Retry-After', String(lockedFor));
+            return res.status(429).json({
+                success: false,
+                status: 'locked',
+                message: `Trop de tentatives, réessayez dans ${Math.ceil(lockedFor / 60)} min`,
+                retryAfter: lockedFor
+            });
+        }
+
+        // Vérifier dans la table users (creator, admin, va)
+        const result = await pool.query(
+            'SELECT * FROM users WHERE username = $1',
+            [username]
+        );
+
+        if (result.rows.length > 0) {
+            const user = result.rows[0];
+            const { valid, needsRehash } = await verifyPassword(password, user.password);
+
+            if (valid) {
+                // Mettre à jour last_login (et re-hacher les anciens mots de passe en clair)
+                if (needsRehash) {
+                    await pool.query(
+                        'UPDATE users SET last_login = NOW(), password = $2 WHERE username = $1',
+                        [username, await hashPassword(password)]
+                    );
+                    console.log(`🔒 Mot de passe de ${username} re-haché`);
+                } else {
+                    await pool.query(
+                        'UPDATE users SET last_login = NOW() WHERE username = $1',
+                        [username]
+                    );
+                }
+
+                await clearFailures([lockoutScopes[1]]);
+                const tokens = await createSession(user.username, user.role, req);
+
+                return res.json({
+                    success: true,
+                    role: user.role,
+                    username: user.username,
+                    licenseKey: user.license_key,
+                    teamId: user.team_id,
+                    permissions: getPermissions(user.role),
+                    ...tokens
+                });
+            }
+        }
+
+        // Vérifier dans guest_users (compatibilité ancienne version)
+        const guestResult = await pool.query(
+            'SELECT * FROM guest_users WHERE username = $1',
+            [username]
+        );
+
+        if (guestResult.rows.length > 0) {
+            const guest = guestResult.rows[0];
+            const { valid, needsRehash } = await verifyPassword(password, guest.password);
+
+            if (valid) {
+                if (needsRehash) {
+                    await pool.query(
+                        'UPDATE guest_users SET last_login = NOW(), password = $2 WHERE username = $1',
+                        [username, await hashPassword(password)]
+                    );
+                    console.log(`🔒 Mot de passe de l'invité ${username} re-haché`);
+                } else {
+                    await pool.query(
+                        'UPDATE guest_users SET last_login = NOW() WHERE username = $1',
+                        [username]
+                    );
+                }
+
+                await clearFailures([lockoutScopes[1]]);
+                const tokens = await createSession(username, 'guest', req);
+
+                return res.json({
+                    success: true,
+                    role: 'guest',
+                    username: username,
+                    permissions: getPermissions('guest'),
+                    ...tokens
+                });
+            }
+        }
+
+        const lockSeconds = await recordFailure(lockoutScopes, config.lockout.loginMaxFailures);
+        if (lockSeconds > 0) {
+            console.warn(`🚫 Connexion verrouillée ${lockSeconds}s pour ${username} / ${req.ip}`);
+        }
+
+        res.json({
+            success: false,
+            message: 'Identifiants invalides'
+        });
+    } catch (error) {
+        console.error('Erreur login:', error);
+        res.status(500).json({ success: false, message: 'Erreur serveur' });
+    }
+});
+
+// Renouveler le jeton d'accès à partir du refresh token
+app.post('/api/auth/refresh', async (req, res) => {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+        return res.status(400).json({
+            success: false,
+            message: 'Refresh token manquant'
+        });
+    }
+
+    try {
+        const newRefreshToken = generateToken();
+
+        // Rotation : l'ancien refresh token n'est plus utilisable
+        const result = await pool.query(`
+            UPDATE sessions
+            SET refresh_token_hash = $2, last_used_at = NOW()
+            WHERE refresh_token_hash = $1 AND revoked_at IS NULL AND expires_at > NOW()
+            RETURNING id, username
+        `, [hashToken(refreshToken), hashToken(newRefreshToken)]);
+
+        if (result.rows.length === 0) {
+            return res.status(401).json({
+                success: false,
+                message: 'Session invalide ou expirée'
+            });
+        }
+
+        const session = result.rows[0];
+
+        res.json({
+            success: true,
+            accessToken: createAccessToken({ sub: session.username, sid: session.id }, SESSION_SECRET, ACCESS_TOKEN_TTL),
+            refreshToken: newRefreshToken,
+            expiresIn: ACCESS_TOKEN_TTL
+        });
+    } catch (error) {
+        console.error('Erreur refresh:', error);
+        res.status(500).json({ success: false, message: 'Erreur serveur' });
+    }
+});
+
+// Déconnexion (révoque la session courante)
+app.post('/api/auth/logout', checkSessionAuth, async (req, res) => {
+    try {
+        await pool.query(
+            'UPDATE sessions SET revoked_at = NOW() WHERE id = $1',
+            [req.sessionId]
+        );
+
+        res.json({
+            success: true,
+            message: 'Déconnecté'
+        });
+    } catch (error) {
+        console.error('Erreur logout:', error);
+        res.status(500).json({ success: false, message: 'Erreur serveur' });
+    }
+});
+
+// Révoquer toutes les sessions de l'utilisateur connecté
+app.post('/api/auth/revoke-all', checkSessionAuth, async (req, res) => {
+    try {
+        const revokedCount = await revokeUserSessions(req.username);
+
+        console.log(`✅ ${revokedCount} session(s) révoquée(s) pour ${req.username}`);
+
+        res.json({
+            success: true,
+            message: `${revokedCount} session(s) révoquée(s)`,
+            revokedCount
+        });
+    } catch (error) {
+        console.error('Erreur revoke-all:', error);
+        res.status(500).json({ success: false, message: 'Erreur serveur' });
+    }
+});
+
+// Changer son mot de passe (mot de passe actuel requis) ; les autres sessions sont fermées.
+// Les échecs comptent dans le verrouillage de connexion du compte.
+app.post('/api/auth/change-password', checkSessionAuth, async (req, res) => {
+    const { currentPassword, newPassword } = req.body;
+
+    if (typeof currentPassword !== 'string' || typeof newPassword !== 'string' || !currentPassword || !newPassword) {
+        return res.status(400).json({
+            success: false,
+            message: 'Mot de passe actuel et nouveau mot de passe requis'
+        });
+    }
+
+    if (typeof newPassword !== 'string' || newPassword.length < config.minPasswordLength) {
+        return res.status(400).json({
+            success: false,
+            message: `Le mot de passe doit contenir au moins ${config.minPasswordLength} caractères`
+        });
+    }
+
+    const table = req.userRole === 'guest' ? 'guest_users' : 'users';
+    const lockoutScopes = [userLockoutScope(req.username, req.ip)];
+
+    try {
+        const lockedFor = await getLockout(lockoutScopes);
+        if (lockedFor > 0) {
+            res.set('Retry-After', String(lockedFor));
+            return res.status(429).json({
+                success: false,
+                status: 'locked',
+                message: 'Trop de tentatives, réessayez plus tard',
+                retryAfter: lockedFor
+            });
+        }
 
-            // Mettre à jour last_login
-            await pool.query(
-                'UPDATE users SET last_login = NOW() WHERE username = $1',
-                [username]
-            );
+        const result = await pool.query(`SELECT password FROM ${table} WHERE username = $1`, [req.username]);
+        const { valid } = result.rows.length > 0
+            ? await verifyPassword(currentPassword, result.rows[0].password)
+            : { valid: false };
 
-            return res.json({
-                success: true,
-                role: user.role,
-                username: user.username,
-                licenseKey: user.license_key
+        if (!valid) {
+            await recordFailure(lockoutScopes, config.lockout.loginMaxFailures);
+            return res.status(401).json({
+                success: false,
+                message: 'Mot de passe actuel incorrect'
             });
         }
 
-        // Vérifier dans guest_users (compatibilité ancienne version)
-        const guestResult = await pool.query(
-            'SELECT * FROM guest_users WHERE username = $1 AND password = $2',
-            [username, password]
+        await clearFailures(lockoutScopes);
+        await pool.query(`UPDATE ${table} SET password = $1 WHERE username = $2`, [await hashPassword(newPassword), req.username]);
+
+        const revoked = await pool.query(
+            'UPDATE sessions SET revoked_at = NOW() WHERE username = $1 AND id <> $2 AND revoked_at IS NULL',
+            [req.username, req.sessionId]
         );
 
-        if (guestResult.rows.length > 0) {
-            await pool.query(
-                'UPDATE guest_users SET last_login = NOW() WHERE username = $1',
-                [username]
-            );
+        await recordAudit(req, 'change_password', {
+            targetType: req.userRole === 'guest' ? 'guest' : 'user',
+            targetId: req.username,
+            after: { revokedSessions: revoked.rowCount }
+        });
 
-            return res.json({
-                success: true,
-                role: 'guest',
-                username: username
-            });
-        }
+        console.log(`🔒 Mot de passe de ${req.username} modifié (${revoked.rowCount} autre(s) session(s) fermée(s))`);
 
         res.json({
-            success: false,
-            message: 'Identifiants invalides'
+            success: true,
+            message: 'Mot de passe modifié',
+            revokedSessions: revoked.rowCount
         });
     } catch (error) {
-        console.error('Erreur login:', error);
+        console.error('Erreur change-password:', error);
         res.status(500).json({ success: false, message: 'Erreur serveur' });
     }
 });
 
 // Créer un utilisateur (admin/creator uniquement)
-app.post('/api/admin/create-user', checkAdminAuth, async (req, res) => {
+app.post('/api/admin/create-user', checkAdminAuth, checkAccountRoles(req => [req.body.role]), checkKeyTeam, async (req, res) => {
     const { newUsername, userPassword, role, licenseKey } = req.body;
 
     if (!newUsername || !userPassword || !role) {
@@ -632,6 +3589,13 @@ app.post('/api/admin/create-user', checkAdminAuth, async (req, res) => {
         });
     }
 
+    if (typeof userPassword !== 'string' || userPassword.length < config.minPasswordLength) {
+        return res.status(400).json({
+            success: false,
+            message: `Le mot de passe doit contenir au moins ${config.minPasswordLength} caractères`
+        });
+    }
+
     if (!['admin', 'va'].includes(role)) {
         return res.status(400).json({
             success: false,
@@ -647,11 +3611,33 @@ app.post('/api/admin/create-user', checkAdminAuth, async (req, res) => {
     }
 
     try {
+        // Un VA est dans l'équipe de sa clé ; un admin dans celle de l'admin qui le crée (ou choisie par le créateur)
+        const team = role === 'va' ? await getKeyTeam(licenseKey) : await resolveTeamForCreation(req);
+        if (team.error) {
+            return res.status(400).json({
+                success: false,
+                message: team.error
+            });
+        }
+
+        if (role === 'admin' && team.teamId === null) {
+            return res.status(400).json({
+                success: false,
+                message: 'Équipe requise pour un admin'
+            });
+        }
+
         await pool.query(
-            'INSERT INTO users (username, password, role, license_key) VALUES ($1, $2, $3, $4)',
-            [newUsername, userPassword, role, licenseKey || null]
+            'INSERT INTO users (username, password, role, license_key, team_id) VALUES ($1, $2, $3, $4, $5)',
+            [newUsername, await hashPassword(userPassword), role, licenseKey || null, team.teamId]
         );
 
+        await recordAudit(req, 'create_user', {
+            targetType: 'user',
+            targetId: newUsername,
+            after: { role, licenseKey: licenseKey || null, teamId: team.teamId }
+        });
+
         res.json({
             success: true,
             message: `${role === 'admin' ? 'Admin' : 'VA'} créé avec succès`
@@ -668,8 +3654,19 @@ app.post('/api/admin/create-user', checkAdminAuth, async (req, res) => {
     }
 });
 
+// Invités (tous, ou ceux d'une équipe)
+function listGuests(teamId) {
+    return pool.query(`
+        SELECT g.id, g.username, g.created_at, g.created_by, g.last_login, g.team_id, t.name AS team_name
+        FROM guest_users g
+        LEFT JOIN teams t ON t.id = g.team_id
+        ${teamId === null ? '' : 'WHERE g.team_id = $1'}
+        ORDER BY g.created_at DESC
+    `, teamId === null ? [] : [teamId]);
+}
+
 // Créer un invité (admin uniquement - compatibilité)
-app.post('/api/admin/create-guest', checkAdminAuth, async (req, res) => {
+app.post('/api/admin/create-guest', checkAdminAuth, requirePermission('guests:manage'), async (req, res) => {
     const { username, guestPassword } = req.body;
 
     if (!username || !guestPassword) {
@@ -679,12 +3676,42 @@ app.post('/api/admin/create-guest', checkAdminAuth, async (req, res) => {
         });
     }
 
+    if (typeof guestPassword !== 'string' || guestPassword.length < config.minPasswordLength) {
+        return res.status(400).json({
+            success: false,
+            message: `Le mot de passe doit contenir au moins ${config.minPasswordLength} caractères`
+        });
+    }
+
     try {
+        const team = await resolveTeamForCreation(req);
+        if (team.error) {
+            return res.status(400).json({
+                success: false,
+                message: team.error
+            });
+        }
+
+        // Un invité ne doit pas reprendre le nom d'un compte existant (il le remplacerait à la migration)
+        const existing = await pool.query('SELECT 1 FROM users WHERE username = $1', [username]);
+        if (existing.rows.length > 0) {
+            return res.status(409).json({
+                success: false,
+                message: 'Ce nom d\'utilisateur existe déjà'
+            });
+        }
+
         await pool.query(
-            'INSERT INTO guest_users (username, password) VALUES ($1, $2)',
-            [username, guestPassword]
+            'INSERT INTO guest_users (username, password, team_id) VALUES ($1, $2, $3)',
+            [username, await hashPassword(guestPassword), team.teamId]
         );
 
+        await recordAudit(req, 'create_guest', {
+            targetType: 'guest',
+            targetId: username,
+            after: { teamId: team.teamId }
+        });
+
         res.json({
             success: true,
             message: 'Invité créé avec succès'
@@ -702,17 +3729,18 @@ app.post('/api/admin/create-guest', checkAdminAuth, async (req, res) => {
 });
 
 // Liste des utilisateurs (admin/creator uniquement)
-app.post('/api/admin/users', checkAdminAuth, async (req, res) => {
+app.post('/api/admin/users', checkAdminAuth, requirePermission('users:read'), async (req, res) => {
     try {
-        // Afficher TOUS les utilisateurs (y compris le créateur)
-        // Le frontend cachera les boutons de modification pour le créateur si l'utilisateur est admin
-        const usersResult = await pool.query(
-            'SELECT id, username, role, license_key, created_at, last_login FROM users ORDER BY role DESC, created_at DESC'
-        );
+        // Le créateur voit tous les comptes (y compris le sien), un admin ceux de son équipe
+        const usersResult = await pool.query(`
+            SELECT u.id, u.username, u.role, u.license_key, u.created_at, u.last_login, u.team_id, t.name AS team_name
+            FROM users u
+            LEFT JOIN teams t ON t.id = u.team_id
+            ${req.teamId === null ? '' : 'WHERE u.team_id = $1'}
+            ORDER BY u.role DESC, u.created_at DESC
+        `, req.teamId === null ? [] : [req.teamId]);
 
-        const guestsResult = await pool.query(
-            'SELECT id, username, created_at, last_login FROM guest_users ORDER BY created_at DESC'
-        );
+        const guestsResult = await listGuests(req.teamId);
 
         res.json({
             success: true,
@@ -725,49 +3753,49 @@ app.post('/api/admin/users', checkAdminAuth, async (req, res) => {
     }
 });
 
-// Vue complète : toutes les clés avec utilisateurs associés
-app.post('/api/admin/keys-with-users', checkAdminAuth, async (req, res) => {
+// Vue complète : clés avec utilisateurs associés (paginé : search, sort, order, cursor, limit)
+app.post('/api/admin/keys-with-users', checkAdminAuth, requirePermission('keys:read'), async (req, res) => {
     try {
-        // Récupérer toutes les clés
-        const keysResult = await pool.query(
-            'SELECT license_key, owner, active, role, created_at, last_used FROM license_keys ORDER BY created_at DESC'
-        );
-
-        // Pour chaque clé, récupérer les utilisateurs VA associés
-        const keysWithUsers = await Promise.all(keysResult.rows.map(async (key) => {
-            const usersResult = await pool.query(
-                'SELECT username, role, created_at, last_login FROM users WHERE license_key = $1 ORDER BY role, username',
-                [key.license_key]
-            );
+        const page = await listKeys(req.body, { teamId: req.teamId });
 
-            // Compter les commentaires
-            const commentsResult = await pool.query(
-                'SELECT COUNT(*) as count FROM access_logs WHERE license_key = $1 AND action = $2',
-                [key.license_key, 'comment_posted']
-            );
+        if (page.error) {
+            return res.status(400).json({ success: false, message: page.error });
+        }
 
-            return {
-                licenseKey: key.license_key,
-                owner: key.owner,
-                active: key.active,
-                role: key.role || 'va',
-                createdAt: key.created_at,
-                lastUsed: key.last_used,
-                commentsCount: parseInt(commentsResult.rows[0].count),
-                users: usersResult.rows
-            };
+        const usersByKey = await getUsersByKey(page.keys.map(key => key.license_key));
+
+        const keysWithUsers = page.keys.map(key => ({
+            licenseKey: key.license_key,
+            owner: key.owner,
+            active: key.active,
+            role: key.role || 'va',
+            createdAt: key.created_at,
+            lastUsed: key.last_used,
+            expired: isExpired(key.expires_at),
+            ...licenseInfo(key),
+            commentsCount: key.comments_count,
+            teamId: key.team_id,
+            teamName: key.team_name,
+            users: usersByKey[key.license_key]
         }));
 
-        // Récupérer les admins sans clé
+        // Récupérer les admins sans clé (de l'équipe pour un admin)
+        const adminsFilters = createFilters();
+        adminsFilters.add('role = ?', 'admin');
+        adminsFilters.add("(license_key IS NULL OR license_key = '')");
+        addTeamFilter(adminsFilters, req.teamId, 'team_id');
+
         const adminsResult = await pool.query(
-            'SELECT username, role, created_at, last_login FROM users WHERE role = $1 AND (license_key IS NULL OR license_key = \'\') ORDER BY username',
-            ['admin']
+            `SELECT username, role, created_at, last_login, team_id FROM users ${adminsFilters.where()} ORDER BY username`,
+            adminsFilters.params
         );
 
         res.json({
             success: true,
             keysWithUsers: keysWithUsers,
-            adminsWithoutKeys: adminsResult.rows
+            adminsWithoutKeys: adminsResult.rows,
+            summary: await getKeyTotals({ teamId: req.teamId }),
+            nextCursor: page.nextCursor
         });
     } catch (error) {
         console.error('Erreur keys-with-users:', error);
@@ -775,8 +3803,215 @@ app.post('/api/admin/keys-with-users', checkAdminAuth, async (req, res) => {
     }
 });
 
+// Jeux de données exportables : colonnes + lecture page par page avec les mêmes filtres que les listes
+// (teamId : portée de l'admin qui exporte)
+const exportDatasets = {
+    // Clés de licence (filtres de keys-with-users : search, sort, order)
+    keys: {
+        columns: [
+            { key: 'licenseKey', header: 'Clé' },
+            { key: 'owner', header: 'Propriétaire' },
+            { key: 'role', header: 'Rôle' },
+            { key: 'active', header: 'Active' },
+            { key: 'plan', header: 'Plan' },
+            { key: 'expiresAt', header: 'Expiration' },
+            { key: 'daysRemaining', header: 'Jours restants' },
+            { key: 'maxDevices', header: 'Appareils max' },
+            { key: 'maxConcurrent', header: 'Simultanés max' },
+            { key: 'hourlyQuota', header: 'Quota horaire' },
+            { key: 'dailyQuota', header: 'Quota journalier' },
+            { key: 'commentsCount', header: 'Commentaires' },
+            { key: 'createdAt', header: 'Créée le' },
+            { key: 'lastUsed', header: 'Dernière utilisation' },
+            { key: 'lastHeartbeat', header: 'Dernier heartbeat' },
+            { key: 'team', header: 'Équipe' }
+        ],
+        async fetchPage(filters, cursor, teamId) {
+            const page = await listKeys({ ...filters, cursor, limit: MAX_LIMIT }, { teamId });
+            if (page.error) return page;
+
+            return {
+                rows: page.keys.map(key => ({
+                    licenseKey: key.license_key,
+                    owner: key.owner,
+                    role: key.role || 'va',
+                    active: key.active,
+                    ...licenseInfo(key),
+                    hourlyQuota: key.hourly_quota,
+                    dailyQuota: key.daily_quota,
+                    commentsCount: key.comments_count,
+                    createdAt: key.created_at,
+                    lastUsed: key.last_used,
+                    lastHeartbeat: key.last_heartbeat,
+                    team: key.team_name
+                })),
+                nextCursor: page.nextCursor
+            };
+        }
+    },
+
+    // Statistiques par clé (filtres de detailed-stats : search, sort, order)
+    stats: {
+        columns: [
+            { key: 'licenseKey', header: 'Clé' },
+            { key: 'owner', header: 'Propriétaire' },
+            { key: 'active', header: 'Active' },
+            { key: 'expired', header: 'Expirée' },
+            { key: 'commentsCount', header: 'Commentaires' },
+            { key: 'uniqueIps', header: 'IPs uniques' },
+            { key: 'usersCount', header: 'Utilisateurs' },
+            { key: 'isOnline', header: 'En ligne' },
+            { key: 'lastIp', header: 'Dernière IP' },
+            { key: 'lastUsed', header: 'Dernière utilisation' },
+            { key: 'lastHeartbeat', header: 'Dernier heartbeat' }
+        ],
+        async fetchPage(filters, cursor, teamId) {
+            const page = await listKeys({ ...filters, cursor, limit: MAX_LIMIT }, { teamId });
+            if (page.error) return page;
+
+            const licenseKeys = page.keys.map(key => key.license_key);
+            const ipsByKey = await getIpsByKey(licenseKeys);
+            const usersByKey = await getUsersByKey(licenseKeys);
+            const since = onlineSince();
+
+            return {
+                rows: page.keys.map(key => ({
+                    licenseKey: key.license_key,
+                    owner: key.owner,
+                    active: key.active,
+                    expired: isExpired(key.expires_at),
+                    commentsCount: key.comments_count,
+                    uniqueIps: ipsByKey[key.license_key].length,
+                    usersCount: usersByKey[key.license_key].length,
+                    isOnline: key.last_heartbeat !== null && key.last_heartbeat > since,
+                    lastIp: key.last_ip,
+                    lastUsed: key.last_used,
+                    lastHeartbeat: key.last_heartbeat
+                })),
+                nextCursor: page.nextCursor
+            };
+        }
+    },
+
+    // Logs d'accès (filtres de l'explorateur : licenseKey, action, status, ip, search, from, to)
+    logs: {
+        columns: [
+            { key: 'id', header: 'Id' },
+            { key: 'timestamp', header: 'Date' },
+            { key: 'licenseKey', header: 'Clé' },
+            { key: 'owner', header: 'Propriétaire' },
+            { key: 'action', header: 'Action' },
+            { key: 'status', header: 'Statut' },
+            { key: 'ipAddress', header: 'IP' }
+        ],
+        async fetchPage(filters, cursor, teamId) {
+            const page = await listLogs({ ...filters, beforeId: cursor, limit: MAX_LIMIT }, { teamId });
+            return page.error ? page : { rows: page.logs, nextCursor: page.nextCursor };
+        }
+    },
+
+    // Utilisateurs puis invités, sans mots de passe (filtre : role), du plus récent au plus ancien.
+    // Curseur : { type: 'user' | 'guest', beforeId } ; les invités suivent la dernière page d'utilisateurs.
+    users: {
+        columns: [
+            { key: 'type', header: 'Type' },
+            { key: 'username', header: 'Utilisateur' },
+            { key: 'role', header: 'Rôle' },
+            { key: 'licenseKey', header: 'Clé' },
+            { key: 'createdAt', header: 'Créé le' },
+            { key: 'createdBy', header: 'Créé par' },
+            { key: 'lastLogin', header: 'Dernière connexion' },
+            { key: 'team', header: 'Équipe' }
+        ],
+        async fetchPage(filters, cursor, teamId) {
+            const withGuests = !filters.role || filters.role === 'guest';
+            const type = cursor ? cursor.type : (filters.role === 'guest' ? 'guest' : 'user');
+            const pageFilters = createFilters();
+            addTeamFilter(pageFilters, teamId, 'a.team_id');
+            if (cursor && cursor.beforeId) pageFilters.add('a.id < ?', cursor.beforeId);
+            if (type === 'user' && filters.role) pageFilters.add('a.role = ?', filters.role);
+
+            const source = type === 'user'
+                ? "SELECT id, username, role, license_key, created_at, created_by, last_login, team_id, 'user' AS type FROM users"
+                : "SELECT id, username, 'guest' AS role, NULL AS license_key, created_at, created_by, last_login, team_id, 'guest' AS type FROM guest_users";
+
+            const result = await pool.query(`
+                SELECT a.*, t.name AS team_name
+                FROM (${source}) a
+                LEFT JOIN teams t ON t.id = a.team_id
+                ${pageFilters.where()}
+                ORDER BY a.id DESC
+                LIMIT ${pageFilters.param(MAX_LIMIT + 1)}
+            `, pageFilters.params);
+
+            const page = buildPage(result.rows, MAX_LIMIT, row => ({ type, beforeId: row.id }));
+
+            return {
+                rows: page.items.map(account => ({
+                    type: account.type,
+                    username: account.username,
+                    role: account.role,
+                    licenseKey: account.license_key,
+                    createdAt: account.created_at,
+                    createdBy: account.created_by,
+                    lastLogin: account.last_login,
+                    team: account.team_name
+                })),
+                nextCursor: page.nextCursor || (type === 'user' && withGuests ? { type: 'guest', beforeId: null } : null)
+            };
+        }
+    }
+};
+
+// Exporter un jeu de données en CSV ou JSON (body : format + filtres de la liste correspondante)
+app.post('/api/admin/export/:dataset', checkAdminAuth, requirePermission('data:export'), async (req, res) => {
+    const dataset = exportDatasets[req.params.dataset];
+    const { format = 'csv', ...filters } = req.body;
+
+    if (!Object.prototype.hasOwnProperty.call(exportDatasets, req.params.dataset)) {
+        return res.status(404).json({
+            success: false,
+            message: `Export inconnu (${Object.keys(exportDatasets).join(', ')})`
+        });
+    }
+
+    if (!EXPORT_FORMATS.includes(format)) {
+        return res.status(400).json({
+            success: false,
+            message: 'Format invalide (csv ou json)'
+        });
+    }
+
+    try {
+        const result = await streamExport(res, {
+            format,
+            filename: req.params.dataset,
+            columns: dataset.columns,
+            fetchPage: cursor => dataset.fetchPage(filters, cursor, req.teamId),
+            onStart: () => recordAudit(req, 'export_data', {
+                targetType: 'export',
+                targetId: req.params.dataset,
+                after: { format, ...filters }
+            })
+        });
+
+        if (result.error) {
+            return res.status(400).json({ success: false, message: result.error });
+        }
+    } catch (error) {
+        console.error('Erreur export:', error);
+        // En-têtes déjà envoyés : couper la réponse pour que le fichier ne paraisse pas complet
+        if (res.headersSent) {
+            res.destroy(error);
+        } else {
+            res.status(500).json({ success: false, message: 'Erreur serveur' });
+        }
+    }
+});
+
 // Modifier le rôle d'une clé
-app.post('/api/admin/update-key-role', checkAdminAuth, async (req, res) => {
+app.post('/api/admin/update-key-role', checkAdminAuth, requirePermission('keys:change-role'), checkKeyTeam,
+    checkAccountRoles(async req => [await getKeyRole(req.body.licenseKey), req.body.newRole]), async (req, res) => {
     const { licenseKey, newRole } = req.body;
 
     if (!licenseKey || !newRole) {
@@ -794,10 +4029,9 @@ app.post('/api/admin/update-key-role', checkAdminAuth, async (req, res) => {
     }
 
     try {
-        // Mettre à jour le rôle de la clé
         const result = await pool.query(
-            'UPDATE license_keys SET role = $1 WHERE license_key = $2 RETURNING *',
-            [newRole, licenseKey]
+            'SELECT role FROM license_keys WHERE license_key = $1',
+            [licenseKey]
         );
 
         if (result.rows.length === 0) {
@@ -807,6 +4041,12 @@ app.post('/api/admin/update-key-role', checkAdminAuth, async (req, res) => {
             });
         }
 
+        // Mettre à jour le rôle de la clé
+        await pool.query(
+            'UPDATE license_keys SET role = $1 WHERE license_key = $2',
+            [newRole, licenseKey]
+        );
+
         // 🔄 SYNCHRONISATION : Mettre à jour le rôle de tous les utilisateurs ayant cette clé
         const usersResult = await pool.query(
             'UPDATE users SET role = $1 WHERE license_key = $2 RETURNING username',
@@ -819,6 +4059,13 @@ app.post('/api/admin/update-key-role', checkAdminAuth, async (req, res) => {
             console.log(`✅ Utilisateurs synchronisés (${usersResult.rows.length}): ${usernames}`);
         }
 
+        await recordAudit(req, 'update_key_role', {
+            targetType: 'key',
+            targetId: licenseKey,
+            before: { role: result.rows[0].role },
+            after: { role: newRole, syncedUsers: usersResult.rows.map(u => u.username) }
+        });
+
         res.json({
             success: true,
             message: `Rôle mis à jour (clé + ${usersResult.rows.length} utilisateur(s))`
@@ -830,16 +4077,10 @@ app.post('/api/admin/update-key-role', checkAdminAuth, async (req, res) => {
 });
 
 // Modifier le rôle d'un utilisateur
-app.post('/api/admin/update-user-role', checkAdminAuth, async (req, res) => {
+app.post('/api/admin/update-user-role', checkAdminAuth, checkUserTeam,
+    checkAccountRoles(async req => [await getUserRole(req.body.targetUsername), req.body.newRole]), async (req, res) => {
     const { targetUsername, newRole, newLicenseKey } = req.body;
 
-    if (targetUsername === 'creator') {
-        return res.status(403).json({
-            success: false,
-            message: 'Le rôle du créateur ne peut pas être modifié'
-        });
-    }
-
     if (!['admin', 'va'].includes(newRole)) {
         return res.status(400).json({
             success: false,
@@ -855,11 +4096,45 @@ app.post('/api/admin/update-user-role', checkAdminAuth, async (req, res) => {
     }
 
     try {
+        const result = await pool.query(
+            'SELECT role, license_key, team_id FROM users WHERE username = $1',
+            [targetUsername]
+        );
+
+        if (result.rows.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Utilisateur non trouvé'
+            });
+        }
+
+        const licenseKey = newRole === 'va' ? newLicenseKey : null;
+
+        // Un VA passe dans l'équipe de sa clé (qui doit être celle de l'admin) ; un admin garde la sienne
+        let teamId = result.rows[0].team_id;
+        if (licenseKey) {
+            const keyTeam = await getKeyTeam(licenseKey);
+            if (keyTeam.error || (req.teamId !== null && keyTeam.teamId !== req.teamId)) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Clé non trouvée'
+                });
+            }
+            teamId = keyTeam.teamId;
+        }
+
         await pool.query(
-            'UPDATE users SET role = $1, license_key = $2 WHERE username = $3',
-            [newRole, newRole === 'va' ? newLicenseKey : null, targetUsername]
+            'UPDATE users SET role = $1, license_key = $2, team_id = $3 WHERE username = $4',
+            [newRole, licenseKey, teamId, targetUsername]
         );
 
+        await recordAudit(req, 'update_user_role', {
+            targetType: 'user',
+            targetId: targetUsername,
+            before: { role: result.rows[0].role, licenseKey: result.rows[0].license_key, teamId: result.rows[0].team_id },
+            after: { role: newRole, licenseKey, teamId }
+        });
+
         res.json({
             success: true,
             message: 'Rôle mis à jour'
@@ -871,11 +4146,9 @@ app.post('/api/admin/update-user-role', checkAdminAuth, async (req, res) => {
 });
 
 // Liste des invités (admin uniquement - compatibilité)
-app.post('/api/admin/guests', checkAdminAuth, async (req, res) => {
+app.post('/api/admin/guests', checkAdminAuth, requirePermission('users:read'), async (req, res) => {
     try {
-        const result = await pool.query(
-            'SELECT id, username, created_at, last_login FROM guest_users ORDER BY created_at DESC'
-        );
+        const result = await listGuests(req.teamId);
 
         res.json({
             success: true,
@@ -888,17 +4161,10 @@ app.post('/api/admin/guests', checkAdminAuth, async (req, res) => {
 });
 
 // Supprimer un utilisateur (admin/creator uniquement, sauf le créateur)
-app.post('/api/admin/delete-user', checkAdminAuth, async (req, res) => {
+app.post('/api/admin/delete-user', checkAdminAuth, checkUserTeam,
+    checkAccountRoles(async req => [await getUserRole(req.body.targetUsername)]), async (req, res) => {
     const { targetUsername } = req.body;
 
-    // Empêcher la suppression du créateur
-    if (targetUsername === 'creator') {
-        return res.status(403).json({
-            success: false,
-            message: 'Le compte créateur ne peut pas être supprimé'
-        });
-    }
-
     try {
         const result = await pool.query(
             'DELETE FROM users WHERE username = $1 RETURNING *',
@@ -912,6 +4178,15 @@ app.post('/api/admin/delete-user', checkAdminAuth, async (req, res) => {
             });
         }
 
+        await revokeUserSessions(targetUsername);
+
+        await recordAudit(req, 'delete_user', {
+            targetType: 'user',
+            targetId: targetUsername,
+            teamId: result.rows[0].team_id,
+            before: { role: result.rows[0].role, licenseKey: result.rows[0].license_key }
+        });
+
         res.json({
             success: true,
             message: 'Utilisateur supprimé'
@@ -923,7 +4198,8 @@ app.post('/api/admin/delete-user', checkAdminAuth, async (req, res) => {
 });
 
 // Migrer un guest vers le nouveau système users
-app.post('/api/admin/migrate-guest', checkAdminAuth, async (req, res) => {
+app.post('/api/admin/migrate-guest', checkAdminAuth, requirePermission('guests:manage'), checkGuestTeam, checkKeyTeam,
+    checkAccountRoles(req => [req.body.newRole]), async (req, res) => {
     const { guestUsername, newRole, licenseKey } = req.body;
 
     if (!guestUsername || !newRole) {
@@ -956,20 +4232,51 @@ app.post('/api/admin/migrate-guest', checkAdminAuth, async (req, res) => {
 
         const guest = guestResult.rows[0];
 
-        // Insérer dans la table users
-        await pool.query(
-            'INSERT INTO users (username, password, role, license_key, created_at) VALUES ($1, $2, $3, $4, $5) ON CONFLICT (username) DO UPDATE SET role = $3, license_key = $4',
-            [guest.username, guest.password, newRole, licenseKey || null, guest.created_at]
+        // Un VA rejoint l'équipe de sa clé, un admin garde celle de l'invité
+        const team = newRole === 'va' && licenseKey ? await getKeyTeam(licenseKey) : { teamId: guest.team_id };
+        if (team.error) {
+            return res.status(404).json({
+                success: false,
+                message: team.error
+            });
+        }
+
+        // Reprendre le hash existant (les anciens mots de passe en clair sont hachés au passage)
+        const passwordHash = isPasswordHash(guest.password)
+            ? guest.password
+            : await hashPassword(guest.password);
+
+        // Insérer dans la table users (jamais par-dessus un compte existant : son rôle et son équipe ne sont pas vérifiés ici)
+        const inserted = await pool.query(
+            'INSERT INTO users (username, password, role, license_key, created_at, team_id) VALUES ($1, $2, $3, $4, $5, $6) ON CONFLICT (username) DO NOTHING',
+            [guest.username, passwordHash, newRole, licenseKey || null, guest.created_at, team.teamId]
         );
 
+        if (inserted.rowCount === 0) {
+            return res.status(409).json({
+                success: false,
+                message: 'Un compte porte déjà ce nom d\'utilisateur'
+            });
+        }
+
         // Supprimer de guest_users
         await pool.query(
             'DELETE FROM guest_users WHERE username = $1',
             [guestUsername]
         );
 
+        // Les sessions invité ne sont plus valables après la migration
+        await revokeUserSessions(guestUsername);
+
         console.log(`✅ Migré ${guestUsername} de guest → ${newRole}`);
 
+        await recordAudit(req, 'migrate_guest', {
+            targetType: 'user',
+            targetId: guestUsername,
+            before: { role: 'guest' },
+            after: { role: newRole, licenseKey: licenseKey || null, teamId: team.teamId }
+        });
+
         res.json({
             success: true,
             message: `${guestUsername} migré vers ${newRole} avec succès`
@@ -981,7 +4288,7 @@ app.post('/api/admin/migrate-guest', checkAdminAuth, async (req, res) => {
 });
 
 // Supprimer un invité (admin uniquement - compatibilité)
-app.post('/api/admin/delete-guest', checkAdminAuth, async (req, res) => {
+app.post('/api/admin/delete-guest', checkAdminAuth, requirePermission('guests:manage'), checkGuestTeam, async (req, res) => {
     const { guestUsername } = req.body;
 
     try {
@@ -997,6 +4304,14 @@ app.post('/api/admin/delete-guest', checkAdminAuth, async (req, res) => {
             });
         }
 
+        await revokeUserSessions(guestUsername);
+
+        await recordAudit(req, 'delete_guest', {
+            targetType: 'guest',
+            targetId: guestUsername,
+            teamId: result.rows[0].team_id
+        });
+
         res.json({
             success: true,
             message: 'Invité supprimé'
@@ -1007,8 +4322,28 @@ app.post('/api/admin/delete-guest', checkAdminAuth, async (req, res) => {
     }
 });
 
+// Parcourir les commentaires détaillés (par clé ou par VA, filtres + curseur sur l'id)
+app.post('/api/admin/comments', checkAdminAuth, requirePermission('comments:read'), async (req, res) => {
+    try {
+        const page = await listComments(req.body, { teamId: req.teamId });
+
+        if (page.error) {
+            return res.status(400).json({ success: false, message: page.error });
+        }
+
+        res.json({
+            success: true,
+            comments: page.comments,
+            nextCursor: page.nextCursor
+        });
+    } catch (error) {
+        console.error('Erreur comments:', error);
+        res.status(500).json({ success: false, message: 'Erreur serveur' });
+    }
+});
+
 // Remettre à zéro les commentaires d'une licence
-app.post('/api/admin/reset-comments', checkAdminAuth, async (req, res) => {
+app.post('/api/admin/reset-comments', checkAdminAuth, requirePermission('comments:reset'), checkKeyTeam, async (req, res) => {
     const { licenseKey } = req.body;
 
     if (!licenseKey) {
@@ -1025,8 +4360,21 @@ app.post('/api/admin/reset-comments', checkAdminAuth, async (req, res) => {
             [licenseKey, 'comment_posted']
         );
 
+        // ... et le détail des commentaires
+        const detailResult = await pool.query(
+            'DELETE FROM comments WHERE license_key = $1',
+            [licenseKey]
+        );
+
         console.log(`✅ ${result.rowCount} commentaires supprimés pour ${licenseKey}`);
 
+        await recordAudit(req, 'reset_comments', {
+            targetType: 'key',
+            targetId: licenseKey,
+            before: { comments: result.rowCount, commentDetails: detailResult.rowCount },
+            after: { comments: 0 }
+        });
+
         res.json({
             success: true,
             message: `${result.rowCount} commentaire(s) supprimé(s)`,
@@ -1038,49 +4386,59 @@ app.post('/api/admin/reset-comments', checkAdminAuth, async (req, res) => {
     }
 });
 
-// Statistiques pour VAs (accès à leurs propres stats uniquement)
-app.post('/api/va/my-stats', async (req, res) => {
-    const { licenseKey } = req.body;
-
-    if (!licenseKey) {
-        return res.status(400).json({
-            success: false,
-            message: 'Clé de licence manquante'
-        });
-    }
+// ===== ESPACE VA =====
 
+// Clé liée au compte du VA connecté : c'est toujours elle qui est lue, jamais une clé passée
+// dans la requête (un VA ne peut pas consulter les données d'un autre VA)
+async function loadOwnKey(req, res, next) {
     try {
-        // Vérifier que la clé existe
-        const keyResult = await pool.query(
-            'SELECT * FROM license_keys WHERE license_key = $1',
-            [licenseKey]
-        );
+        const result = await pool.query(`
+            SELECT k.*
+            FROM users u
+            JOIN license_keys k ON k.license_key = u.license_key
+            WHERE u.username = $1
+        `, [req.username]);
 
-        if (keyResult.rows.length === 0) {
+        if (result.rows.length === 0) {
             return res.status(404).json({
                 success: false,
-                message: 'Clé non trouvée'
+                message: 'Aucune clé de licence liée à ce compte'
             });
         }
 
-        const keyData = keyResult.rows[0];
+        req.keyData = result.rows[0];
+        next();
+    } catch (error) {
+        console.error('Erreur loadOwnKey:', error);
+        res.status(500).json({ success: false, message: 'Erreur serveur' });
+    }
+}
+
+const checkVaAuth = [checkSessionAuth, requirePermission('stats:read-own'), loadOwnKey];
+
+// Statistiques du VA : commentaires, statut et expiration de la clé, quotas en cours
+app.post('/api/va/my-stats', checkVaAuth, async (req, res) => {
+    const keyData = req.keyData;
 
-        // Compter les commentaires
+    try {
         const commentsResult = await pool.query(
             'SELECT COUNT(*) as count FROM access_logs WHERE license_key = $1 AND action = $2',
-            [licenseKey, 'comment_posted']
+            [keyData.license_key, 'comment_posted']
         );
 
         res.json({
             success: true,
             stats: {
                 owner: keyData.owner,
-                licenseKey: licenseKey,
+                licenseKey: keyData.license_key,
                 active: keyData.active,
+                expired: isExpired(keyData.expires_at),
+                ...licenseInfo(keyData),
                 commentsCount: parseInt(commentsResult.rows[0].count),
                 createdAt: keyData.created_at,
                 lastUsed: keyData.last_used
-            }
+            },
+            quota: await getQuotaUsage(keyData)
         });
     } catch (error) {
         console.error('Erreur va/my-stats:', error);
@@ -1088,15 +4446,157 @@ app.post('/api/va/my-stats', async (req, res) => {
     }
 });
 
+// Activité des commentaires du VA (même format que /api/admin/analytics)
+app.post('/api/va/analytics', checkVaAuth, async (req, res) => {
+    const query = parseAnalyticsQuery(req.body);
+
+    if (query.error) {
+        return res.status(400).json({ success: false, message: query.error });
+    }
+
+    try {
+        const analytics = await getCommentAnalytics(query, [req.keyData.license_key]);
+
+        res.json({
+            success: true,
+            licenseKey: req.keyData.license_key,
+            ...analytics
+        });
+    } catch (error) {
+        console.error('Erreur va/analytics:', error);
+        res.status(500).json({ success: false, message: 'Erreur serveur' });
+    }
+});
+
+// Historique des commentaires du VA (filtres status, search, from, to ; pagination par beforeId)
+app.post('/api/va/comments', checkVaAuth, async (req, res) => {
+    try {
+        const page = await listComments(req.body, { ownKey: req.keyData.license_key });
+
+        if (page.error) {
+            return res.status(400).json({ success: false, message: page.error });
+        }
+
+        res.json({
+            success: true,
+            comments: page.comments,
+            nextCursor: page.nextCursor
+        });
+    } catch (error) {
+        console.error('Erreur va/comments:', error);
+        res.status(500).json({ success: false, message: 'Erreur serveur' });
+    }
+});
+
+// Appareils liés à la clé du VA et adresses IP vues
+app.post('/api/va/devices', checkVaAuth, async (req, res) => {
+    const keyData = req.keyData;
+
+    try {
+        const devicesResult = await pool.query(`
+            SELECT device_id, first_seen, last_seen, last_ip, (last_seen > $2) as is_online
+            FROM key_devices
+            WHERE license_key = $1
+            ORDER BY last_seen DESC
+        `, [keyData.license_key, onlineSince()]);
+
+        const ipsByKey = await getIpsByKey([keyData.license_key]);
+
+        res.json({
+            success: true,
+            maxDevices: keyData.max_devices,
+            maxConcurrent: keyData.max_concurrent,
+            devices: devicesResult.rows.map(row => ({
+                deviceId: row.device_id,
+                firstSeen: row.first_seen,
+                lastSeen: row.last_seen,
+                lastIp: row.last_ip,
+                isOnline: row.is_online
+            })),
+            ips: ipsByKey[keyData.license_key].map(row => ({
+                ipAddress: row.ip_address,
+                firstSeen: row.first_seen,
+                lastSeen: row.last_seen
+            }))
+        });
+    } catch (error) {
+        console.error('Erreur va/devices:', error);
+        res.status(500).json({ success: false, message: 'Erreur serveur' });
+    }
+});
+
+// Fin de la dernière période examinée par notifyOfflineKeys (null avant le premier passage)
+let offlineCheckedUntil = null;
+
+// Webhook key.offline et panneaux en direct pour les clés dont le dernier heartbeat vient de sortir
+// de la fenêtre "en ligne" (chaque heartbeat n'est examiné qu'une fois ; rien n'est signalé pour
+// la période avant le démarrage)
+async function notifyOfflineKeys() {
+    const until = onlineSince();
+    const from = offlineCheckedUntil || until;
+    offlineCheckedUntil = until;
+
+    if (!hasLiveListeners() && !(await hasSubscribers('key.offline'))) return;
+
+    const result = await pool.query(`
+        SELECT license_key, owner, last_heartbeat, last_ip, team_id
+        FROM license_keys
+        WHERE active = true AND last_heartbeat >= $1 AND last_heartbeat < $2
+    `, [from, until]);
+
+    for (const row of result.rows) {
+        const data = {
+            licenseKey: row.license_key,
+            owner: row.owner,
+            lastHeartbeat: row.last_heartbeat,
+            lastIp: row.last_ip
+        };
+        publishLive('offline', data, { teamId: row.team_id });
+        await emitEvent('key.offline', data);
+    }
+}
+
 // Démarrer le serveur
 async function startServer() {
-    await initDatabase();
+    // Refuser de démarrer sur un schéma non migré
+    try {
+        const { pending } = await getMigrationStatus();
+        if (pending.length > 0) {
+            console.error(`❌ ${pending.length} migration(s) en attente : ${pending.map(m => m.id).join(', ')}`);
+            console.error('👉 Lancez "npm run migrate" avant de démarrer le serveur');
+            process.exit(1);
+        }
+        console.log('✅ Schéma de base de données à jour');
+    } catch (error) {
+        console.error('❌ Erreur vérification des migrations:', error);
+        process.exit(1);
+    }
+
+    await bootstrapCreator();
+
+    try {
+        const { kid } = await getActiveSigningKey();
+        console.log(`🔏 Jetons de licence signés avec la clé ${kid}`);
+    } catch (error) {
+        console.error('❌ Erreur clé de signature:', error);
+    }
+
+    // Nettoyage périodique des compteurs de limitation et du journal des webhooks
+    setInterval(() => {
+        pruneRateLimits().catch(error => console.error('Erreur nettoyage rate limit:', error));
+        pruneDeliveries().catch(error => console.error('Erreur nettoyage webhooks:', error));
+    }, 10 * 60 * 1000);
+
+    // Clés passées hors ligne (webhooks, panneaux en direct) et envois de webhooks dus
+    setInterval(() => {
+        notifyOfflineKeys()
+            .catch(error => console.error('Erreur détection hors ligne:', error))
+            .then(processDeliveries);
+    }, config.webhooks.pollSeconds * 1000);
 
     app.listen(PORT, () => {
         console.log(`🔐 Serveur de licences démarré sur http://localhost:${PORT}`);
         console.log(`📊 Panneau admin: http://localhost:${PORT}/admin.html`);
-        console.log(`🔑 Mot de passe admin: ${ADMIN_PASSWORD}`);
-        console.log(`👤 Compte créateur: username=creator, password=creator123`);
     });
 }
 
@@ -0,0 +1,93 @@
+// Équipes : un admin ne voit et ne gère que les clés, utilisateurs et invités de son équipe.
+// Portée d'une requête admin (req.teamId) : null = toutes les équipes (créateur), sinon l'id de l'équipe.
+const pool = require('./db');
+
+const MAX_TEAM_NAME_LENGTH = 100;
+
+// Nom d'équipe : { name } ou { error }
+function validateTeamName(input) {
+    const name = typeof input === 'string' ? input.trim() : '';
+    if (!name || name.length > MAX_TEAM_NAME_LENGTH) {
+        return { error: `Nom d'équipe requis (${MAX_TEAM_NAME_LENGTH} caractères maximum)` };
+    }
+    return { name };
+}
+
+// Restreindre une liste à l'équipe (rien à ajouter quand la portée couvre toutes les équipes)
+function addTeamFilter(filters, teamId, column = 'k.team_id') {
+    if (teamId !== null && teamId !== undefined) {
+        filters.add(`${column} = ?`, teamId);
+    }
+}
+
+// Clés absentes ou d'une autre équipe (toujours vide quand la portée couvre toutes les équipes)
+async function keysOutsideTeam(licenseKeys, teamId) {
+    if (teamId === null || teamId === undefined || licenseKeys.length === 0) return [];
+
+    const placeholders = licenseKeys.map((_, index) => `$${index + 2}`).join(', ');
+    const result = await pool.query(
+        `SELECT license_key FROM license_keys WHERE team_id = $1 AND license_key IN (${placeholders})`,
+        [teamId, ...licenseKeys.map(String)]
+    );
+
+    const inTeam = new Set(result.rows.map(row => row.license_key));
+    return licenseKeys.filter(key => !inTeam.has(String(key)));
+}
+
+// Équipe d'une clé (celle de ses VAs) : { teamId } ou { error }
+async function getKeyTeam(licenseKey) {
+    const result = await pool.query('SELECT team_id FROM license_keys WHERE license_key = $1', [String(licenseKey)]);
+    return result.rows.length > 0 ? { teamId: result.rows[0].team_id } : { error: 'Clé non trouvée' };
+}
+
+// Équipe demandée par le créateur (id, ou vide pour "hors équipe") : { teamId } ou { error }
+async function parseRequestedTeam(value) {
+    if (value === undefined || value === null || value === '') return { teamId: null };
+
+    const teamId = parseInt(value);
+    const result = teamId > 0
+        ? await pool.query('SELECT id FROM teams WHERE id = $1', [teamId])
+        : { rows: [] };
+
+    return result.rows.length > 0 ? { teamId } : { error: 'Équipe non trouvée' };
+}
+
+// Équipe d'une nouvelle clé / d'un nouvel utilisateur : celle de l'admin, ou celle choisie par le créateur
+async function resolveTeamForCreation(req) {
+    return req.teamId !== null ? { teamId: req.teamId } : parseRequestedTeam(req.body.teamId);
+}
+
+// Équipes visibles avec leurs effectifs (la sienne pour un admin, toutes pour le créateur)
+async function listTeams(teamId) {
+    const result = await pool.query(`
+        SELECT t.id, t.name, t.created_by, t.created_at,
+            (SELECT COUNT(*) FROM license_keys WHERE team_id = t.id) AS keys_count,
+            (SELECT COUNT(*) FROM users WHERE team_id = t.id AND role = 'admin') AS admins_count,
+            (SELECT COUNT(*) FROM users WHERE team_id = t.id AND role = 'va') AS vas_count,
+            (SELECT COUNT(*) FROM guest_users WHERE team_id = t.id) AS guests_count
+        FROM teams t
+        ${teamId === null ? '' : 'WHERE t.id = $1'}
+        ORDER BY t.name
+    `, teamId === null ? [] : [teamId]);
+
+    return result.rows.map(row => ({
+        id: row.id,
+        name: row.name,
+        keysCount: parseInt(row.keys_count),
+        adminsCount: parseInt(row.admins_count),
+        vasCount: parseInt(row.vas_count),
+        guestsCount: parseInt(row.guests_count),
+        createdBy: row.created_by,
+        createdAt: row.created_at
+    }));
+}
+
+module.exports = {
+    validateTeamName,
+    addTeamFilter,
+    keysOutsideTeam,
+    getKeyTeam,
+    parseRequestedTeam,
+    resolveTeamForCreation,
+    listTeams
+};
@@ -0,0 +1,252 @@
+// Modèles de commentaires centralisés : validation, jeux attribués aux rôles / clés, statistiques d'utilisation
+const crypto = require('crypto');
+const pool = require('./db');
+const { parseLicenseKey } = require('./licenses');
+const { MAX_COMMENT_LENGTH } = require('./comments');
+const { createFilters } = require('./pagination');
+
+const MAX_NAME_LENGTH = 100;
+const MAX_DESCRIPTION_LENGTH = 255;
+const MAX_TAGS = 10;
+const TAG_PATTERN = /^[a-z0-9_-]{1,30}$/;
+const ASSIGNMENT_ROLES = ['va', 'admin'];
+
+// Étiquettes en minuscules sans doublon (tableau ou texte "a, b"), ou null si invalides
+function parseTags(input) {
+    const list = typeof input === 'string' ? input.split(',') : input;
+    if (!Array.isArray(list)) return null;
+
+    const tags = [...new Set(list.map(tag => String(tag).trim().toLowerCase()).filter(Boolean))];
+    return tags.length <= MAX_TAGS && tags.every(tag => TAG_PATTERN.test(tag)) ? tags : null;
+}
+
+// Champs d'un modèle : { values } ou { error } ; partial = seuls les champs fournis (modification)
+function validateTemplate(input, { partial = false } = {}) {
+    const values = {};
+
+    if (!partial || input.name !== undefined) {
+        const name = typeof input.name === 'string' ? input.name.trim() : '';
+        if (!name || name.length > MAX_NAME_LENGTH) {
+            return { error: `Nom requis (${MAX_NAME_LENGTH} caractères maximum)` };
+        }
+        values.name = name;
+    }
+
+    if (!partial || input.body !== undefined) {
+        const body = typeof input.body === 'string' ? input.body.trim() : '';
+        if (!body || body.length > MAX_COMMENT_LENGTH) {
+            return { error: `Texte requis (${MAX_COMMENT_LENGTH} caractères maximum)` };
+        }
+        values.body = body;
+    }
+
+    if (!partial || input.tags !== undefined) {
+        const tags = parseTags(input.tags === undefined ? [] : input.tags);
+        if (!tags) {
+            return { error: `Étiquettes invalides (${MAX_TAGS} maximum : lettres minuscules, chiffres, - et _)` };
+        }
+        values.tags = tags;
+    }
+
+    if (input.active !== undefined) {
+        values.active = Boolean(input.active);
+    }
+
+    return { values };
+}
+
+// Champs d'un jeu : { values } ou { error } (templateIds et assignments remplacent l'existant)
+// assignments : [{ scope: 'role', scopeId: 'va' }, { scope: 'key', scopeId: 'TW-...' }]
+function validateTemplateSet(input, { partial = false } = {}) {
+    const values = {};
+
+    if (!partial || input.name !== undefined) {
+        const name = typeof input.name === 'string' ? input.name.trim() : '';
+        if (!name || name.length > MAX_NAME_LENGTH) {
+            return { error: `Nom du jeu requis (${MAX_NAME_LENGTH} caractères maximum)` };
+        }
+        values.name = name;
+    }
+
+    if (input.description !== undefined) {
+        values.description = typeof input.description === 'string'
+            ? input.description.trim().slice(0, MAX_DESCRIPTION_LENGTH) || null
+            : null;
+    }
+
+    if (input.templateIds !== undefined) {
+        if (!Array.isArray(input.templateIds) || !input.templateIds.every(id => Number.isInteger(id) && id > 0)) {
+            return { error: 'Modèles invalides (liste d\'identifiants)' };
+        }
+        values.templateIds = [...new Set(input.templateIds)];
+    }
+
+    if (input.assignments !== undefined) {
+        if (!Array.isArray(input.assignments)) {
+            return { error: 'Attributions invalides' };
+        }
+
+        const assignments = new Map();
+        for (const assignment of input.assignments) {
+            const scope = assignment && assignment.scope;
+            let scopeId = assignment && typeof assignment.scopeId === 'string' ? assignment.scopeId.trim() : '';
+
+            if (scope === 'role') {
+                if (!ASSIGNMENT_ROLES.includes(scopeId)) {
+                    return { error: `Rôle invalide (${ASSIGNMENT_ROLES.join(' ou ')})` };
+                }
+            } else if (scope === 'key') {
+                const parsedKey = parseLicenseKey(scopeId);
+                if (parsedKey.error) {
+                    return { error: `${scopeId || 'Clé'} : ${parsedKey.error}` };
+                }
+                scopeId = parsedKey.key;
+            } else {
+                return { error: 'Attribution invalide (role ou key)' };
+            }
+
+            assignments.set(`${scope}:${scopeId}`, { scope, scopeId });
+        }
+        values.assignments = [...assignments.values()];
+    }
+
+    return { values };
+}
+
+// Modèles actifs attribués à une clé (par ses jeux et ceux de son rôle) : { templates, version }
+// version change dès qu'un modèle ou une attribution change : l'extension peut garder son cache sinon
+async function getTemplatesForKey(keyData) {
+    const result = await pool.query(`
+        SELECT DISTINCT t.id, t.name, t.body, t.tags, t.updated_at
+        FROM comment_templates t
+        JOIN template_set_items i ON i.template_id = t.id
+        JOIN template_set_assignments a ON a.set_id = i.set_id
+        WHERE t.active = true
+            AND ((a.scope = 'key' AND a.scope_id = $1) OR (a.scope = 'role' AND a.scope_id = $2))
+        ORDER BY t.name, t.id
+    `, [keyData.license_key, keyData.role || 'va']);
+
+    const templates = result.rows.map(row => ({
+        id: row.id,
+        name: row.name,
+        body: row.body,
+        tags: row.tags
+    }));
+
+    const version = crypto.createHash('sha256')
+        .update(JSON.stringify(result.rows.map(row => [row.id, new Date(row.updated_at).getTime()])))
+        .digest('hex')
+        .slice(0, 16);
+
+    return { templates, version };
+}
+
+// Bibliothèque avec utilisation (commentaires remontés avec ce modèle) ; filtres search, tag, active
+async function listTemplates({ search, tag, active } = {}) {
+    const filters = createFilters();
+    if (search) filters.add('(t.name ILIKE ? OR t.body ILIKE ?)', `%${String(search).trim()}%`);
+    if (tag) filters.add('t.tags @> ?::jsonb', JSON.stringify([String(tag).trim().toLowerCase()]));
+    if (active === true || active === false) filters.add('t.active = ?', active);
+
+    const result = await pool.query(`
+        SELECT t.*,
+            COALESCE(u.posted, 0) AS posted_count,
+            COALESCE(u.total, 0) AS total_count,
+            u.last_used,
+            COALESCE(s.set_ids, '[]') AS set_ids
+        FROM comment_templates t
+        LEFT JOIN (
+            SELECT template_id,
+                COUNT(*) FILTER (WHERE status = 'posted') AS posted,
+                COUNT(*) AS total,
+                MAX(posted_at) AS last_used
+            FROM comments
+            WHERE template_id IS NOT NULL
+            GROUP BY template_id
+        ) u ON u.template_id = t.id
+        LEFT JOIN (
+            SELECT template_id, json_agg(set_id ORDER BY set_id) AS set_ids
+            FROM template_set_items
+            GROUP BY template_id
+        ) s ON s.template_id = t.id
+        ${filters.where()}
+        ORDER BY t.name, t.id
+    `, filters.params);
+
+    return result.rows.map(row => ({
+        id: row.id,
+        name: row.name,
+        body: row.body,
+        tags: row.tags,
+        active: row.active,
+        setIds: row.set_ids,
+        usage: {
+            posted: parseInt(row.posted_count),
+            total: parseInt(row.total_count),
+            lastUsedAt: row.last_used
+        },
+        createdBy: row.created_by,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at
+    }));
+}
+
+// Jeux avec leurs modèles et attributions
+async function listTemplateSets() {
+    const result = await pool.query(`
+        SELECT s.*,
+            COALESCE((SELECT json_agg(template_id ORDER BY template_id) FROM template_set_items WHERE set_id = s.id), '[]') AS template_ids,
+            COALESCE((
+                SELECT json_agg(json_build_object('scope', scope, 'scopeId', scope_id) ORDER BY scope, scope_id)
+                FROM template_set_assignments WHERE set_id = s.id
+            ), '[]') AS assignments
+        FROM template_sets s
+        ORDER BY s.name
+    `);
+
+    return result.rows.map(row => ({
+        id: row.id,
+        name: row.name,
+        description: row.description,
+        templateIds: row.template_ids,
+        assignments: row.assignments,
+        createdBy: row.created_by,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at
+    }));
+}
+
+// Remplacer les modèles et/ou attributions d'un jeu (dans la transaction de l'appelant)
+async function replaceSetContents(client, setId, { templateIds, assignments }) {
+    if (templateIds) {
+        await client.query('DELETE FROM template_set_items WHERE set_id = $1', [setId]);
+        if (templateIds.length > 0) {
+            // Identifiants inconnus ignorés
+            await client.query(`
+                INSERT INTO template_set_items (set_id, template_id)
+                SELECT $1, id FROM comment_templates WHERE id IN (${templateIds.map((_, index) => `$${index + 2}`).join(', ')})
+            `, [setId, ...templateIds]);
+        }
+    }
+
+    if (assignments) {
+        await client.query('DELETE FROM template_set_assignments WHERE set_id = $1', [setId]);
+        for (const { scope, scopeId } of assignments) {
+            await client.query(
+                'INSERT INTO template_set_assignments (set_id, scope, scope_id) VALUES ($1, $2, $3)',
+                [setId, scope, scopeId]
+            );
+        }
+    }
+}
+
+module.exports = {
+    ASSIGNMENT_ROLES,
+    parseTags,
+    validateTemplate,
+    validateTemplateSet,
+    getTemplatesForKey,
+    listTemplates,
+    listTemplateSets,
+    replaceSetContents
+};
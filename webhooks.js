@@ -0,0 +1,289 @@
+// Webhooks sortants : événements mis en file en base, envoyés signés (HMAC-SHA256) et rejoués avec délai croissant
+const crypto = require('crypto');
+const pool = require('./db');
+const config = require('./config');
+const { createFilters, parseLimit, buildPage } = require('./pagination');
+
+// Événements auxquels un abonnement peut s'inscrire
+const WEBHOOK_EVENTS = {
+    'key.created': 'Clé créée',
+    'key.toggled': 'Clé activée / désactivée',
+    'key.deleted': 'Clé supprimée',
+    'key.new_ip': 'Nouvelle IP pour une clé',
+    'key.offline': 'Extension passée hors ligne',
+    'comment.milestone': 'Palier de commentaires atteint',
+    'verify.failed': 'Vérification de clé refusée'
+};
+
+// Envoyé à un seul abonnement depuis l'admin, quels que soient ses événements
+const TEST_EVENT = 'webhook.test';
+
+// Délai avant chaque nouvel essai (la dernière valeur sert au-delà)
+const RETRY_DELAYS_SECONDS = [60, 5 * 60, 30 * 60, 2 * 60 * 60, 6 * 60 * 60];
+
+const BATCH_SIZE = 20;
+const MAX_URL_LENGTH = 2000;
+const MAX_ERROR_LENGTH = 500;
+const DELIVERY_STATUSES = ['pending', 'delivered', 'failed'];
+
+// Abonnements actifs en cache (vidé à chaque modification depuis l'admin)
+let activeEndpoints = null;
+let processing = false;
+
+function invalidateEndpoints() {
+    activeEndpoints = null;
+}
+
+async function getActiveEndpoints() {
+    if (!activeEndpoints) {
+        const result = await pool.query('SELECT id, events FROM webhook_endpoints WHERE active = true');
+        activeEndpoints = result.rows;
+    }
+    return activeEndpoints;
+}
+
+// Évite les requêtes inutiles (comptage de commentaires...) quand personne n'écoute
+async function hasSubscribers(event) {
+    const endpoints = await getActiveEndpoints();
+    return endpoints.some(endpoint => endpoint.events.includes(event));
+}
+
+// URL http(s) normalisée, ou null
+function parseWebhookUrl(value) {
+    if (typeof value !== 'string' || value.length > MAX_URL_LENGTH) return null;
+
+    try {
+        const url = new URL(value.trim());
+        return url.protocol === 'https:' || url.protocol === 'http:' ? url.toString() : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+// Liste d'événements sans doublon, ou null si vide ou inconnue
+function parseEvents(events) {
+    if (!Array.isArray(events) || events.length === 0) return null;
+
+    const unique = [...new Set(events)];
+    return unique.every(event => Object.prototype.hasOwnProperty.call(WEBHOOK_EVENTS, event)) ? unique : null;
+}
+
+function generateSecret() {
+    return 'whsec_' + crypto.randomBytes(24).toString('base64url');
+}
+
+// En-tête X-Webhook-Signature : "t=<horodatage>,v1=<HMAC-SHA256 hex de "<horodatage>.<corps>">"
+// Le destinataire recalcule le HMAC avec le secret et refuse les horodatages trop anciens
+function signPayload(secret, timestamp, body) {
+    const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+    return `t=${timestamp},v1=${signature}`;
+}
+
+// Mettre l'événement en file pour chaque abonnement concerné (endpointId : un seul abonnement).
+// N'échoue jamais : l'action qui déclenche l'événement ne dépend pas des webhooks.
+async function emitEvent(event, data, { endpointId = null } = {}) {
+    try {
+        const endpointIds = endpointId
+            ? [endpointId]
+            : (await getActiveEndpoints())
+                .filter(endpoint => endpoint.events.includes(event))
+                .map(endpoint => endpoint.id);
+
+        if (endpointIds.length === 0) return;
+
+        const payload = JSON.stringify({ event, createdAt: new Date().toISOString(), data });
+        const params = [event, payload];
+        const values = endpointIds.map(id => {
+            params.push(id);
+            return `($${params.length}, $1, $2)`;
+        });
+
+        await pool.query(
+            `INSERT INTO webhook_deliveries (endpoint_id, event, payload) VALUES ${values.join(', ')}`,
+            params
+        );
+
+        setImmediate(processDeliveries);
+    } catch (error) {
+        console.error('Erreur webhook (mise en file):', error);
+    }
+}
+
+// Un essai d'envoi ; en cas d'échec, nouvel essai plus tard ou abandon après maxAttempts
+async function deliver(delivery) {
+    const body = JSON.stringify({ id: delivery.id, ...delivery.payload });
+    const timestamp = Math.floor(Date.now() / 1000);
+    const attempts = delivery.attempts + 1;
+    let responseStatus = null;
+    let error = null;
+
+    try {
+        const response = await fetch(delivery.url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'User-Agent': 'twitter-license-server-webhooks',
+                'X-Webhook-Id': String(delivery.id),
+                'X-Webhook-Event': delivery.event,
+                'X-Webhook-Signature': signPayload(delivery.secret, timestamp, body)
+            },
+            body,
+            redirect: 'manual',
+            signal: AbortSignal.timeout(config.webhooks.timeoutSeconds * 1000)
+        });
+
+        responseStatus = response.status;
+        if (response.body) await response.body.cancel();
+        if (!response.ok) error = `Réponse HTTP ${response.status}`;
+    } catch (fetchError) {
+        error = fetchError.name === 'TimeoutError'
+            ? `Pas de réponse après ${config.webhooks.timeoutSeconds} s`
+            : String((fetchError.cause && fetchError.cause.message) || fetchError.message);
+    }
+
+    const now = new Date();
+
+    if (!error) {
+        await pool.query(`
+            UPDATE webhook_deliveries
+            SET status = 'delivered', attempts = $1, last_attempt_at = $2, delivered_at = $2,
+                response_status = $3, last_error = NULL
+            WHERE id = $4
+        `, [attempts, now, responseStatus, delivery.id]);
+        return;
+    }
+
+    const giveUp = attempts >= config.webhooks.maxAttempts;
+    const delay = RETRY_DELAYS_SECONDS[Math.min(attempts, RETRY_DELAYS_SECONDS.length) - 1];
+
+    await pool.query(`
+        UPDATE webhook_deliveries
+        SET status = $1, attempts = $2, last_attempt_at = $3, next_attempt_at = $4,
+            response_status = $5, last_error = $6
+        WHERE id = $7
+    `, [
+        giveUp ? 'failed' : 'pending',
+        attempts,
+        now,
+        giveUp ? null : new Date(now.getTime() + delay * 1000),
+        responseStatus,
+        error.slice(0, MAX_ERROR_LENGTH),
+        delivery.id
+    ]);
+}
+
+// Envoyer tout ce qui est dû (abonnements désactivés : envois gardés en attente)
+async function processDeliveries() {
+    if (processing) return;
+    processing = true;
+
+    try {
+        for (;;) {
+            const due = await pool.query(`
+                SELECT d.id, d.event, d.payload, d.attempts, e.url, e.secret
+                FROM webhook_deliveries d
+                JOIN webhook_endpoints e ON e.id = d.endpoint_id
+                WHERE d.status = 'pending' AND d.next_attempt_at <= $1 AND e.active = true
+                ORDER BY d.next_attempt_at, d.id
+                LIMIT $2
+            `, [new Date(), BATCH_SIZE]);
+
+            await Promise.all(due.rows.map(delivery => deliver(delivery).catch(error => {
+                console.error(`Erreur webhook (envoi ${delivery.id}):`, error);
+            })));
+
+            if (due.rows.length < BATCH_SIZE) break;
+        }
+    } catch (error) {
+        console.error('Erreur file webhooks:', error);
+    } finally {
+        processing = false;
+    }
+}
+
+// Relance manuelle depuis l'admin : un essai immédiat (qui compte dans les tentatives)
+async function retryDelivery(id) {
+    const result = await pool.query(`
+        UPDATE webhook_deliveries
+        SET status = 'pending', next_attempt_at = $1
+        WHERE id = $2 AND status = 'failed'
+        RETURNING id
+    `, [new Date(), id]);
+
+    if (result.rows.length > 0) setImmediate(processDeliveries);
+    return result.rows.length > 0;
+}
+
+// Oublier les envois terminés au-delà de la durée de conservation
+async function pruneDeliveries() {
+    const before = new Date(Date.now() - config.webhooks.retentionDays * 24 * 60 * 60 * 1000);
+    await pool.query(
+        "DELETE FROM webhook_deliveries WHERE status <> 'pending' AND created_at < $1",
+        [before]
+    );
+}
+
+// Journal des envois, du plus récent au plus ancien : { deliveries, nextCursor } ou { error }
+// options : endpointId, event, status, beforeId, limit
+async function listDeliveries(options) {
+    const { endpointId, event, status, beforeId } = options;
+    const limit = parseLimit(options.limit);
+
+    if (status && !DELIVERY_STATUSES.includes(status)) {
+        return { error: `Statut invalide (${DELIVERY_STATUSES.join(', ')})` };
+    }
+
+    const filters = createFilters();
+    if (parseInt(endpointId) > 0) filters.add('d.endpoint_id = ?', parseInt(endpointId));
+    if (event) filters.add('d.event = ?', event);
+    if (status) filters.add('d.status = ?', status);
+    if (parseInt(beforeId) > 0) filters.add('d.id < ?', parseInt(beforeId));
+
+    const result = await pool.query(`
+        SELECT d.id, d.endpoint_id, e.url, d.event, d.payload, d.status, d.attempts,
+               d.next_attempt_at, d.last_attempt_at, d.response_status, d.last_error,
+               d.created_at, d.delivered_at
+        FROM webhook_deliveries d
+        JOIN webhook_endpoints e ON e.id = d.endpoint_id
+        ${filters.where()}
+        ORDER BY d.id DESC
+        LIMIT ${filters.param(limit + 1)}
+    `, filters.params);
+
+    const page = buildPage(result.rows, limit, row => row.id);
+
+    return {
+        deliveries: page.items.map(row => ({
+            id: row.id,
+            endpointId: row.endpoint_id,
+            url: row.url,
+            event: row.event,
+            payload: row.payload,
+            status: row.status,
+            attempts: row.attempts,
+            nextAttemptAt: row.status === 'pending' ? row.next_attempt_at : null,
+            lastAttemptAt: row.last_attempt_at,
+            responseStatus: row.response_status,
+            lastError: row.last_error,
+            createdAt: row.created_at,
+            deliveredAt: row.delivered_at
+        })),
+        nextCursor: page.nextCursor
+    };
+}
+
+module.exports = {
+    WEBHOOK_EVENTS,
+    TEST_EVENT,
+    invalidateEndpoints,
+    hasSubscribers,
+    parseWebhookUrl,
+    parseEvents,
+    generateSecret,
+    signPayload,
+    emitEvent,
+    processDeliveries,
+    retryDelivery,
+    pruneDeliveries,
+    listDeliveries
+};